@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+import { existsSync } from 'fs';
+import { readFile, writeFile } from 'fs/promises';
+import { extname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { FlareEconomy } from '../lib/Database.js';
+import { JsonFileAdapter } from '../lib/adapters/JsonFileAdapter.js';
+import { SqliteAdapter } from '../lib/adapters/SqliteAdapter.js';
+import { ValidationError } from '../lib/errors.js';
+
+const USAGE = `Usage: flare-economy [options] <command> [arguments]
+
+Commands:
+  balance <userId>                  Show a user's balance
+  give <userId> <amount>            Add to a user's wallet
+  deduct <userId> <amount>          Take from a user's wallet
+  set-capacity <userId> <capacity>  Set a user's bank capacity
+  delete <userId>                   Delete a user
+  leaderboard                       Show the richest users
+  stats                             Show the money supply, user count and averages
+  backup [file]                     Export the database as JSON (to stdout without a file)
+  restore <file>                    Import a backup written by backup
+
+Options:
+  --db <path>         Database file (default: economy.db)
+  --adapter <name>    'json' or 'sqlite' (default: from the file extension)
+  --config <file>     JSON or JavaScript module with the FlareEconomy options of the bot
+  --platform <name>   Platform of the user (default: discord, every platform for leaderboard and stats)
+  --scope <id>        Scope of the user, such as a guild id
+  --currency <id>     Currency of the amount
+  --reason <text>     Reason recorded in the ledger
+  --count <n>         Users on a leaderboard page (default: 10)
+  --offset <n>        Users to skip on the leaderboard
+  --sort-by <key>     Leaderboard sort key (default: total)
+  --replace           Empty the database before restoring
+  --json              Print results as JSON
+  -h, --help          Show this help`;
+
+const OPTIONS = {
+    db: { type: 'string', default: 'economy.db' },
+    adapter: { type: 'string' },
+    config: { type: 'string' },
+    platform: { type: 'string' },
+    scope: { type: 'string' },
+    currency: { type: 'string' },
+    reason: { type: 'string' },
+    count: { type: 'string', default: '10' },
+    offset: { type: 'string', default: '0' },
+    'sort-by': { type: 'string', default: 'total' },
+    replace: { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Constructor options of the bot, so the same currencies, limits and strictness apply
+async function loadConfig(path) {
+    if (!path) return {};
+    if (extname(path) === '.json') return JSON.parse(await readFile(path, 'utf8'));
+
+    const module = await import(pathToFileURL(resolve(path)).href);
+    return module.default || module;
+}
+
+function createAdapter(options) {
+    const adapter = options.adapter || (['.sqlite', '.sqlite3'].includes(extname(options.db)) ? 'sqlite' : 'json');
+    if (adapter === 'sqlite') return new SqliteAdapter(options.db);
+    if (adapter === 'json') return new JsonFileAdapter(options.db);
+    throw new ValidationError("The adapter should be 'json' or 'sqlite'");
+}
+
+function argument(positionals, index, name) {
+    if (positionals[index] === undefined) throw new ValidationError(`Missing <${name}>, see flare-economy --help`);
+    return positionals[index];
+}
+
+// Each command calls the same FlareEconomy method a bot would, so middleware,
+// validation and strict mode apply unchanged
+const COMMANDS = {
+    balance: (economy, args, options) => economy.balance(argument(args, 0, 'userId'), options.platform || 'discord', {
+        scope: options.scope, currency: options.currency
+    }),
+
+    give: (economy, args, options) => economy.give(argument(args, 0, 'userId'), options.platform || 'discord', argument(args, 1, 'amount'), {
+        scope: options.scope, currency: options.currency, reason: options.reason
+    }),
+
+    deduct: (economy, args, options) => economy.deduct(argument(args, 0, 'userId'), options.platform || 'discord', argument(args, 1, 'amount'), {
+        scope: options.scope, currency: options.currency, reason: options.reason
+    }),
+
+    'set-capacity': (economy, args, options) => economy.setBankCapacity(argument(args, 0, 'userId'), options.platform || 'discord', argument(args, 1, 'capacity'), {
+        scope: options.scope, reason: options.reason
+    }),
+
+    delete: (economy, args, options) => economy.delete(argument(args, 0, 'userId'), options.platform || 'discord', {
+        scope: options.scope, reason: options.reason
+    }),
+
+    leaderboard: (economy, args, options) => economy.leaderboard({
+        count: Number(options.count),
+        offset: Number(options.offset),
+        platform: options.platform || null,
+        sortBy: options['sort-by'],
+        scope: options.scope,
+        currency: options.currency
+    }),
+
+    stats: (economy, args, options) => economy.economyStats({
+        platform: options.platform, scope: options.scope, currency: options.currency
+    }),
+
+    async backup(economy, [file]) {
+        const dump = await economy.export();
+        if (!file) return dump;
+
+        await writeFile(file, dump);
+        return { file, bytes: Buffer.byteLength(dump) };
+    },
+
+    async restore(economy, args, options) {
+        const file = argument(args, 0, 'file');
+        return economy.import(await readFile(file, 'utf8'), { replace: options.replace });
+    }
+};
+
+function print(value, depth = 0) {
+    const indent = '  '.repeat(depth);
+    for (const [key, item] of Object.entries(value)) {
+        if (item !== null && typeof item === 'object') {
+            console.log(`${indent}${key}:`);
+            print(item, depth + 1);
+        } else {
+            console.log(`${indent}${key}: ${item}`);
+        }
+    }
+}
+
+function printLeaderboard(page) {
+    if (!page.users.length) return console.log('No users');
+
+    for (const user of page.users) {
+        const place = user.scope ? `${user.platform}, ${user.scope}` : user.platform;
+        const value = user.amount !== undefined ? user.amount : user[page.sortBy];
+        console.log(`#${user.rank} ${user.userId} (${place}): ${value}`);
+    }
+    console.log(`Page ${page.page} of ${page.pages}, ${page.total} users`);
+}
+
+async function main(argv) {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+
+    if (options.help || !command) {
+        console.log(USAGE);
+        return command || options.help ? 0 : 1;
+    }
+    if (!COMMANDS[command]) throw new ValidationError(`Unknown command '${command}', see flare-economy --help`);
+    if (command !== 'restore' && !existsSync(options.db)) throw new ValidationError(`No database at ${options.db}`);
+
+    const config = await loadConfig(options.config);
+    const economy = new FlareEconomy({ ...config, adapter: createAdapter(options) });
+    try {
+        const result = await COMMANDS[command](economy, args, options);
+
+        if (typeof result === 'string') process.stdout.write(result);
+        else if (options.json) console.log(JSON.stringify(result, (key, value) => typeof value === 'bigint' ? String(value) : value, 2));
+        else if (command === 'leaderboard') printLeaderboard({ ...result, sortBy: options['sort-by'] });
+        else print(result);
+
+        return result.success === false ? 1 : 0;
+    } finally {
+        await economy.close();
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    if (process.argv.includes('--json')) {
+        console.error(JSON.stringify({ error: { name: error.name, code: error.code || null, message: error.message } }, null, 2));
+    } else {
+        console.error(`${error.code ? `${error.code}: ` : ''}${error.message}`);
+    }
+    process.exitCode = 1;
+});
@@ -1,4 +1,19 @@
 const { FlareEconomy } = require('./lib/Database.cjs');
+const { BaseAdapter } = require('./lib/adapters/BaseAdapter.cjs');
+const { MemoryAdapter } = require('./lib/adapters/MemoryAdapter.cjs');
+const { JsonFileAdapter } = require('./lib/adapters/JsonFileAdapter.cjs');
+const { SqliteAdapter } = require('./lib/adapters/SqliteAdapter.cjs');
+const { runAdapterConformance } = require('./lib/adapters/conformance.cjs');
+const { ProvablyFairRng } = require('./lib/games.cjs');
+const { createAdminServer } = require('./lib/server.cjs');
+const {
+    FlareEconomyError,
+    ValidationError,
+    InvalidAmountError,
+    InsufficientFundsError,
+    CapacityExceededError,
+    CooldownError
+} = require('./lib/errors.cjs');
 
-module.exports = { FlareEconomy };
+module.exports = { FlareEconomy, BaseAdapter, MemoryAdapter, JsonFileAdapter, SqliteAdapter, runAdapterConformance, ProvablyFairRng, createAdminServer, FlareEconomyError, ValidationError, InvalidAmountError, InsufficientFundsError, CapacityExceededError, CooldownError };
 module.exports.default = FlareEconomy;
\ No newline at end of file
@@ -1,4 +1,34 @@
 import { FlareEconomy } from './lib/Database.js';
+import { BaseAdapter } from './lib/adapters/BaseAdapter.js';
+import { MemoryAdapter } from './lib/adapters/MemoryAdapter.js';
+import { JsonFileAdapter } from './lib/adapters/JsonFileAdapter.js';
+import { SqliteAdapter } from './lib/adapters/SqliteAdapter.js';
+import { runAdapterConformance } from './lib/adapters/conformance.js';
+import { ProvablyFairRng } from './lib/games.js';
+import { createAdminServer } from './lib/server.js';
+import {
+    FlareEconomyError,
+    ValidationError,
+    InvalidAmountError,
+    InsufficientFundsError,
+    CapacityExceededError,
+    CooldownError
+} from './lib/errors.js';
 
-export { FlareEconomy };
+export {
+    FlareEconomy,
+    BaseAdapter,
+    MemoryAdapter,
+    JsonFileAdapter,
+    SqliteAdapter,
+    runAdapterConformance,
+    ProvablyFairRng,
+    createAdminServer,
+    FlareEconomyError,
+    ValidationError,
+    InvalidAmountError,
+    InsufficientFundsError,
+    CapacityExceededError,
+    CooldownError
+};
 export default FlareEconomy;
\ No newline at end of file
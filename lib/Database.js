@@ -1,308 +1,3088 @@
-import { readFile, writeFile, access, constants } from 'fs/promises';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { randomUUID, randomInt } from 'crypto';
+import { EventEmitter } from 'events';
+import { JsonFileAdapter } from './adapters/JsonFileAdapter.js';
+import { KeyedMutex } from './KeyedMutex.js';
+import { LeaderboardIndex } from './LeaderboardIndex.js';
+import { GAMES, createGame, createRng, ProvablyFairRng } from './games.js';
+import { Amounts, minOf, maxOf, floorTo, multiply } from './amounts.js';
+import { Formatter } from './format.js';
+import { MIGRATIONS, SCHEMA_VERSION } from './migrations.js';
+import { DUMP_COLLECTIONS, CSV_COLUMNS, IMPORTERS, toCsv, parseCsv, readJson } from './dumps.js';
+import {
+    FlareEconomyError,
+    ValidationError,
+    InvalidAmountError,
+    InsufficientFundsError,
+    CapacityExceededError,
+    CooldownError
+} from './errors.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
+// Returned from inside the locks when a link changed which account a lock
+// tuple points to while the transaction was waiting for it
+const RELINKED = Symbol('relinked');
+
+// Fields holding money in each kind of record, decoded to BigInt units on read
+const USER_AMOUNTS = ['wallet', 'bank', 'bankCapacity'];
+const ITEM_AMOUNTS = ['price', 'sellPrice', 'capacity'];
+const SCOPE_AMOUNTS = ['dailyAmount', 'defaultBankCapacity'];
+const ENTRY_AMOUNTS = ['amount', 'fee', 'received', 'remaining', 'stolen', 'fine'];
+const LOAN_AMOUNTS = ['principal', 'amountDue', 'repaid'];
 
 class FlareDatabase {
-    constructor(dbPath = 'economy.db') {
-        this.dbPath = dbPath;
-        this.data = {};
-        this.initialized = false;
+    constructor(adapter, amounts = new Amounts()) {
+        this.adapter = adapter;
+        this.amounts = amounts;
+        this.ready = null;
+        this.locks = new KeyedMutex();
+        this.lockHooks = [];
+        this.loadHooks = [];
+        this.writeHooks = [];
+        this.commitHooks = [];
+        this.initHooks = [];
+        this.userDefaults = async () => ({});
+    }
+
+    // Hooks run before a transaction takes its locks, with the keys it is about
+    // to lock, and return more [userId, platform, scope] tuples or keys to lock
+    // along with them, such as accounts a load hook is going to write.
+    onLock(hook) {
+        this.lockHooks.push(hook);
+    }
+
+    // Hooks run the first time a transaction loads each user and may update it
+    // through the transaction; whatever they return replaces the loaded user.
+    onLoad(hook) {
+        this.loadHooks.push(hook);
+    }
+
+    // Hooks run with every user record a transaction is about to write, and
+    // throw to abort the transaction.
+    onWrite(hook) {
+        this.writeHooks.push(hook);
+    }
+
+    // Hooks run once a transaction has been applied, with the ledger entries it
+    // recorded, the users it created and every user record it wrote by key
+    // (null for deleted ones).
+    onCommit(hook) {
+        this.commitHooks.push(hook);
+    }
+
+    committed(changes) {
+        if (!changes.records.length && !changes.created.length && !changes.users.size) return;
+        for (const hook of this.commitHooks) hook(changes);
+    }
+
+    // Hooks run once the data has been migrated, before the first transaction,
+    // each in a transaction of its own.
+    onInit(hook) {
+        this.initHooks.push(hook);
+    }
+
+    async init() {
+        if (!this.ready) this.ready = this.adapter.init().then(() => this.migrate()).then(() => this.prepare());
+        await this.ready;
+    }
+
+    async prepare() {
+        for (const hook of this.initHooks) {
+            await this.adapter.transaction(store => hook(store));
+        }
+    }
+
+    async schemaVersion(store = this.adapter) {
+        const schema = await store.get('meta', 'schema');
+        return schema ? schema.version : 0;
+    }
+
+    // Runs the migrations the stored data hasn't seen yet. Data written by a
+    // newer version is refused rather than misread.
+    async migrate() {
+        const version = await this.schemaVersion();
+        if (version > SCHEMA_VERSION) {
+            throw new FlareEconomyError(`The database uses schema version ${version}, this version of flare-economy supports up to ${SCHEMA_VERSION}`, 'SCHEMA_TOO_NEW', { version, supported: SCHEMA_VERSION });
+        }
+
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= version) continue;
+            await this.adapter.transaction(async (store) => {
+                await migration.up(store, this);
+                await store.update('meta', 'schema', { version: migration.version, migratedAt: Date.now() });
+            });
+        }
+    }
+
+    // BigInt amounts anywhere in a record are written as whole currency units
+    encode(value) {
+        if (typeof value === 'bigint') return this.amounts.encode(value);
+        if (Array.isArray(value)) return value.map(item => this.encode(item));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.encode(item)]));
+        }
+        return value;
+    }
+
+    decodeFields(record, fields) {
+        if (!record) return record;
+
+        const decoded = { ...record };
+        for (const field of fields) {
+            if (decoded[field] !== undefined && decoded[field] !== null) decoded[field] = this.amounts.decode(decoded[field]);
+        }
+        if (record.currencies) {
+            decoded.currencies = Object.fromEntries(Object.entries(record.currencies).map(([id, amount]) => [id, this.amounts.decode(amount)]));
+        }
+        return decoded;
+    }
+
+    decodeUser(user) {
+        return this.decodeFields(user, USER_AMOUNTS);
+    }
+
+    decodeTrade(trade) {
+        if (!trade) return trade;
+
+        const decoded = { ...trade, offer: this.decodeFields(trade.offer, ['amount']), request: this.decodeFields(trade.request, ['amount']) };
+        if (trade.loan) decoded.loan = this.decodeFields(trade.loan, ['amountDue']);
+        return decoded;
+    }
+
+    decodeEntry(entry) {
+        const decoded = this.decodeFields(entry, ENTRY_AMOUNTS);
+        if (entry.before) decoded.before = this.decodeUser(entry.before);
+        if (entry.after) decoded.after = this.decodeUser(entry.after);
+        return decoded;
+    }
+
+    // Scoped users are keyed as platform/scope:userId, so a platform prefix scan
+    // only ever sees the users of a single scope
+    userKey(userId, platform, scope) {
+        if (!scope) return `${platform}:${userId}`;
+        return `${platform}/${encodeURIComponent(scope)}:${userId}`;
+    }
+
+    // Ledger entries are keyed by their user, so one user's history is a
+    // prefix scan rather than a scan of the whole ledger
+    ledgerKey(entry) {
+        return `${this.userKey(entry.userId, entry.platform, entry.scope)}:${entry.timestamp}:${entry.id}`;
+    }
+
+    async createUser(userId, platform, scope, store) {
+        const user = {
+            userId,
+            platform,
+            wallet: 0n,
+            bank: 0n,
+            bankCapacity: this.amounts.decode(2500),
+            cooldowns: {}
+        };
+        if (scope) user.scope = scope;
+
+        return { ...user, ...(await this.userDefaults(scope, store)) };
+    }
+
+    // Linked identities are stored as a pointer from their key to the primary
+    // account; everything else resolves to itself.
+    async resolveAccount(userId, platform, scope, store = this.adapter) {
+        const link = await store.get('links', this.userKey(userId, platform, scope));
+        if (link) return { userId: link.userId, platform: link.platform, scope: link.scope || null };
+        return { userId, platform, scope: scope || null };
+    }
+
+    async resolveKey(userId, platform, scope, store = this.adapter) {
+        const account = await this.resolveAccount(userId, platform, scope, store);
+        return this.userKey(account.userId, account.platform, account.scope);
+    }
+
+    // Reads without locking, so a missing user comes back as an unsaved default.
+    // Users are only created by transactions, which hold their lock.
+    async getUser(userId, platform, scope) {
+        await this.init();
+        const link = await this.adapter.get('links', this.userKey(userId, platform, scope));
+        if (link) return this.getUser(link.userId, link.platform, link.scope);
+
+        const user = await this.adapter.get('users', this.userKey(userId, platform, scope));
+        return user ? this.decodeUser(user) : this.createUser(userId, platform, scope);
+    }
+
+    async hasUser(userId, platform, scope) {
+        await this.init();
+        return !!(await this.adapter.get('users', await this.resolveKey(userId, platform, scope)));
+    }
+
+    async getAllUsers(platform = null, scope = null) {
+        await this.init();
+
+        if (platform) {
+            const users = await this.adapter.scan('users', { prefix: this.userKey('', platform, scope) });
+            return users.map(([, user]) => this.decodeUser(user));
+        }
+
+        const users = await this.adapter.scan('users');
+        return users.map(([, user]) => this.decodeUser(user)).filter(user => (user.scope || null) === (scope || null));
+    }
+
+    // Migrations pass their transaction store, since they run before init() resolves
+    async getScope(scope, store) {
+        if (!store) await this.init();
+        return this.decodeFields(await (store || this.adapter).get('scopes', scope), SCOPE_AMOUNTS);
+    }
+
+    async saveScope(scope, config) {
+        await this.init();
+        return this.decodeFields(await this.adapter.update('scopes', scope, this.encode(config)), SCOPE_AMOUNTS);
+    }
+
+    async getItem(itemId) {
+        await this.init();
+        return this.decodeFields(await this.adapter.get('items', itemId), ITEM_AMOUNTS);
+    }
+
+    async getAllItems() {
+        await this.init();
+        const items = await this.adapter.scan('items');
+        return items.map(([, item]) => this.decodeFields(item, ITEM_AMOUNTS));
+    }
+
+    async saveItem(item) {
+        await this.init();
+        return this.decodeFields(await this.adapter.update('items', item.id, this.encode(item)), ITEM_AMOUNTS);
+    }
+
+    async deleteItem(itemId) {
+        await this.init();
+        return this.adapter.delete('items', itemId);
+    }
+
+    async getLinks() {
+        await this.init();
+        return this.adapter.scan('links');
+    }
+
+    async saveLinkRequest(key, request) {
+        await this.init();
+        return this.adapter.update('linkRequests', key, request);
+    }
+
+    async getTrade(tradeId) {
+        await this.init();
+        return this.decodeTrade(await this.adapter.get('trades', tradeId));
+    }
+
+    async getTrades() {
+        await this.init();
+        const trades = await this.adapter.scan('trades');
+        return trades.map(([, trade]) => this.decodeTrade(trade));
+    }
+
+    async getLoan(loanId) {
+        await this.init();
+        return this.decodeFields(await this.adapter.get('loans', loanId), LOAN_AMOUNTS);
+    }
+
+    async getLoans() {
+        await this.init();
+        const loans = await this.adapter.scan('loans');
+        return loans.map(([, loan]) => this.decodeFields(loan, LOAN_AMOUNTS));
+    }
+
+    async scanCollection(collection) {
+        await this.init();
+        return this.adapter.scan(collection);
+    }
+
+    // Writes [key, record] pairs per collection in one transaction, on top of
+    // what is stored (after emptying the collections first with replace).
+    // Records from a dump of an older schema are migrated on the way in.
+    async importRecords(collections, options = {}) {
+        await this.init();
+
+        return this.adapter.transaction(async (store) => {
+            for (const [collection, records] of Object.entries(collections)) {
+                if (options.replace) {
+                    for (const [key] of await store.scan(collection)) await store.delete(collection, key);
+                }
+                for (const [key, record] of records) {
+                    const isNew = collection === 'users' && !(await store.get(collection, key));
+                    const base = isNew ? this.encode(await this.createUser(record.userId, record.platform, record.scope, store)) : {};
+                    await store.update(collection, key, { ...base, ...record });
+                }
+            }
+
+            for (const migration of MIGRATIONS) {
+                if (migration.version > (options.schemaVersion || 0)) await migration.up(store, this);
+            }
+        });
+    }
+
+    // Every ledger entry, or only those of one account
+    async getTransactions(account = null) {
+        await this.init();
+        const prefix = account ? `${this.userKey(account.userId, account.platform, account.scope)}:` : '';
+        const transactions = await this.adapter.scan('transactions', { prefix });
+        return transactions.map(([, record]) => this.decodeEntry(record));
+    }
+
+    // locks lists the [userId, platform, scope?] tuples, or other string keys such
+    // as `item:<id>`, that fn reads and writes. Tuples of linked identities lock
+    // the account they are linked to.
+    async transaction(locks, fn) {
+        await this.init();
+        const resolveAll = (tuples, store) => Promise.all(tuples.map(lock => Array.isArray(lock) ? this.resolveKey(...lock, store) : lock));
+        const resolve = async (store) => {
+            const keys = await resolveAll(locks, store);
+            for (const hook of this.lockHooks) {
+                keys.push(...await resolveAll(await hook([...keys], store), store));
+            }
+            return keys;
+        };
+
+        for (;;) {
+            const changes = { records: [], created: [], users: new Map() };
+            const keys = await resolve(this.adapter);
+            const result = await this.locks.lock(keys, async () => {
+                const current = await resolve(this.adapter);
+                if (current.length !== keys.length || current.some((key, index) => key !== keys[index])) return RELINKED;
+
+                return this.runTransaction(fn, changes, new Set(keys));
+            });
+
+            if (result !== RELINKED) {
+                this.committed(changes);
+                return result;
+            }
+        }
+    }
+
+    // Operations on the same user run one after another, so two concurrent
+    // commands can't both read the old balance. Adapters buffer writes and only
+    // apply them once fn completes, so a failed operation never leaves half of
+    // its writes behind.
+    runTransaction(fn, changes, locked) {
+        return this.adapter.transaction(async (store) => {
+            const loaded = new Set();
+            const tx = {
+                id: randomUUID(),
+                // Whether the transaction holds the lock of an account, for hooks
+                // that would otherwise write to one it doesn't
+                isLocked: async (userId, platform, scope) => {
+                    return locked.has(await this.resolveKey(userId, platform, scope, store));
+                },
+                getUser: async (userId, platform, scope) => {
+                    const link = await store.get('links', this.userKey(userId, platform, scope));
+                    if (link) return tx.getUser(link.userId, link.platform, link.scope);
+
+                    const key = this.userKey(userId, platform, scope);
+                    const stored = await store.get('users', key);
+                    let user = stored ? this.decodeUser(stored) : await this.createUser(userId, platform, scope);
+                    if (loaded.has(key)) return user;
+
+                    loaded.add(key);
+                    for (const hook of this.loadHooks) {
+                        user = (await hook(tx, user)) || user;
+                    }
+                    return user;
+                },
+                hasUser: async (userId, platform, scope) => {
+                    const key = await this.resolveKey(userId, platform, scope, store);
+                    return !!(await store.get('users', key));
+                },
+                // Takes a user loaded earlier in the transaction and applies the
+                // updates on top of its current state
+                updateUser: async (user, updates) => {
+                    const key = this.userKey(user.userId, user.platform, user.scope);
+                    const current = await tx.getUser(user.userId, user.platform, user.scope);
+                    const existed = !!(await store.get('users', key));
+                    for (const hook of this.writeHooks) hook({ ...current, ...updates });
+
+                    const updated = this.decodeUser(await store.update('users', key, this.encode({ ...current, ...updates })));
+                    if (!existed) changes.created.push(updated);
+                    changes.users.set(key, updated);
+                    return updated;
+                },
+                deleteUser: async (user) => {
+                    const key = this.userKey(user.userId, user.platform, user.scope);
+                    changes.users.set(key, null);
+                    return store.delete('users', key);
+                },
+                getItem: async (itemId) => {
+                    return this.decodeFields(await store.get('items', itemId), ITEM_AMOUNTS);
+                },
+                updateItem: async (itemId, updates) => {
+                    return this.decodeFields(await store.update('items', itemId, this.encode(updates)), ITEM_AMOUNTS);
+                },
+                getLink: async (key) => {
+                    return store.get('links', key);
+                },
+                getLinks: async () => {
+                    return store.scan('links');
+                },
+                updateLink: async (key, link) => {
+                    return store.update('links', key, link);
+                },
+                deleteLink: async (key) => {
+                    return store.delete('links', key);
+                },
+                getLinkRequest: async (key) => {
+                    return store.get('linkRequests', key);
+                },
+                updateLinkRequest: async (key, updates) => {
+                    return store.update('linkRequests', key, updates);
+                },
+                deleteLinkRequest: async (key) => {
+                    return store.delete('linkRequests', key);
+                },
+                getTrade: async (tradeId) => {
+                    return this.decodeTrade(await store.get('trades', tradeId));
+                },
+                updateTrade: async (tradeId, updates) => {
+                    return this.decodeTrade(await store.update('trades', tradeId, this.encode(updates)));
+                },
+                getLoan: async (loanId) => {
+                    return this.decodeFields(await store.get('loans', loanId), LOAN_AMOUNTS);
+                },
+                updateLoan: async (loanId, updates) => {
+                    return this.decodeFields(await store.update('loans', loanId, this.encode(updates)), LOAN_AMOUNTS);
+                },
+                updateMeta: async (key, updates) => {
+                    return store.update('meta', key, updates);
+                },
+                record: async (record) => {
+                    const id = randomUUID();
+                    const encoded = this.encode({ id, transactionId: tx.id, timestamp: Date.now(), ...record });
+                    const entry = await store.update('transactions', this.ledgerKey(encoded), encoded);
+                    changes.records.push(this.decodeEntry(entry));
+                    return id;
+                }
+            };
+
+            return fn(tx);
+        });
+    }
+}
+
+function balances(user) {
+    const snapshot = { wallet: user.wallet, bank: user.bank, bankCapacity: user.bankCapacity };
+    if (user.currencies) snapshot.currencies = { ...user.currencies };
+    return snapshot;
+}
+
+function createCurrency(currency) {
+    if (!currency || !currency.id) throw new ValidationError("Please Provide a Currency ID");
+    const decimals = currency.decimals != null ? currency.decimals : 0;
+    if (!Number.isInteger(decimals) || decimals < 0) {
+        throw new ValidationError("Currency decimals should be a whole number of at least zero");
+    }
+
+    return {
+        id: String(currency.id),
+        name: currency.name || String(currency.id),
+        symbol: currency.symbol || '',
+        decimals,
+        default: !!currency.default
+    };
+}
+
+// The default currency lives in wallet/bank, every other one in user.currencies
+function walletOf(user, currency) {
+    if (currency.default) return user.wallet;
+    return (user.currencies || {})[currency.id] || 0n;
+}
+
+function walletUpdate(user, currency, amount) {
+    if (currency.default) return { wallet: amount };
+    return { currencies: { ...user.currencies, [currency.id]: amount } };
+}
+
+const NUMERIC = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+// Numbers and numeric strings such as "250" become numbers. NaN, Infinity and
+// anything else become NaN, so a single isNaN() check rejects all of them.
+function toNumber(value) {
+    if (typeof value === 'string' && NUMERIC.test(value.trim())) value = Number(value);
+    return typeof value === 'number' && Number.isFinite(value) ? value : NaN;
+}
+
+
+const ITEM_KINDS = ['item', 'banknote', 'shield'];
+const AMOUNT_FORMATS = ['number', 'string', 'bigint'];
+const SORT_KEYS = ['total', 'wallet', 'bank', 'bankCapacity', 'level', 'xp'];
+
+// Amounts (price, sellPrice, capacity) are parsed by the economy, which knows
+// the currencies
+function createItem(item) {
+    if (!item || !item.id) throw new ValidationError("Please Provide an Item ID");
+
+    const kind = item.kind || 'item';
+    if (!ITEM_KINDS.includes(kind)) throw new ValidationError("The item kind should be 'item', 'banknote' or 'shield'");
+    if (kind === 'banknote' && (item.capacity === undefined || item.capacity === null)) {
+        throw new ValidationError("Bank notes need a capacity greater than zero");
+    }
+    if (kind === 'shield' && !(toNumber(item.duration) > 0)) {
+        throw new ValidationError("Shields need a duration greater than zero");
+    }
+    if (item.stock != null && !(Number.isInteger(item.stock) && item.stock >= 0)) {
+        throw new ValidationError("Stock should be a whole number of at least zero");
+    }
+    if (item.maxPerUser != null && !(Number.isInteger(item.maxPerUser) && item.maxPerUser >= 1)) {
+        throw new ValidationError("maxPerUser should be a whole number of at least one");
+    }
+
+    return {
+        id: String(item.id),
+        name: item.name || String(item.id),
+        description: item.description || '',
+        kind,
+        price: item.price,
+        sellPrice: item.sellPrice != null ? item.sellPrice : null,
+        sellable: item.sellable !== false,
+        stock: item.stock != null ? item.stock : null,
+        maxPerUser: item.maxPerUser != null ? item.maxPerUser : null,
+        requires: [].concat(item.requires || []),
+        capacity: kind === 'banknote' ? item.capacity : null,
+        duration: kind === 'shield' ? toNumber(item.duration) : null
+    };
+}
+
+function createReward(name, definition = {}) {
+    if (!name) throw new ValidationError("Please Provide a Reward Name");
+    if (isNaN(toNumber(definition.cooldown))) throw new ValidationError("The cooldown should be a number");
+    if (definition.cooldown < 0) throw new ValidationError("Cooldown can't be less than zero");
+
+    const sources = ['amount', 'range', 'fn'].filter(key => definition[key] !== undefined);
+    if (sources.length !== 1) throw new ValidationError("A reward needs exactly one of amount, range or fn");
+
+    if (definition.range !== undefined && !(Array.isArray(definition.range) && definition.range.length === 2)) {
+        throw new ValidationError("The range should be [min, max]");
+    }
+    if (definition.fn !== undefined && typeof definition.fn !== 'function') {
+        throw new ValidationError("fn should be a function");
+    }
+
+    const reward = { ...definition, name, cooldown: toNumber(definition.cooldown) };
+    if (definition.streak) reward.streak = createStreak(definition.streak, reward.cooldown);
+    return reward;
+}
+
+// A streak survives as long as the next claim happens within cooldown + grace
+function createStreak(streak, cooldown) {
+    const grace = streak.grace !== undefined ? streak.grace : cooldown;
+    const multiplier = streak.multiplier !== undefined ? streak.multiplier : 0;
+    const maxMultiplier = streak.maxMultiplier !== undefined ? toNumber(streak.maxMultiplier) : Infinity;
+
+    if (isNaN(toNumber(grace)) || grace < 0) throw new ValidationError("The streak grace should be a number of at least zero");
+    if (isNaN(toNumber(multiplier)) || multiplier < 0) throw new ValidationError("The streak multiplier should be a number of at least zero");
+    if (isNaN(maxMultiplier) || maxMultiplier < 1) throw new ValidationError("The streak maxMultiplier should be at least one");
+    if (streak.rewards !== undefined && (!Array.isArray(streak.rewards) || !streak.rewards.length)) {
+        throw new ValidationError("Streak rewards should be a non-empty array");
+    }
+
+    return {
+        grace: toNumber(grace),
+        multiplier: toNumber(multiplier),
+        maxMultiplier,
+        rewards: streak.rewards ? [...streak.rewards] : null
+    };
+}
+
+// The reward table wins over the base amount; past its end the last entry repeats
+function streakAmount(streak, base, day, step) {
+    if (streak.rewards) return streak.rewards[Math.min(day, streak.rewards.length) - 1];
+    if (base === null) return null;
+
+    const multiplier = Math.min(1 + streak.multiplier * (day - 1), streak.maxMultiplier);
+    return multiplier === 1 ? base : floorTo(multiply(base, multiplier), step);
+}
+
+function streakState(user, name) {
+    return (user.streaks || {})[name] || { current: 0, best: 0 };
+}
+
+function lastClaim(user, name) {
+    const cooldowns = user.cooldowns || {};
+    if (cooldowns[name] !== undefined) return cooldowns[name];
+
+    // Daily claims made before cooldowns were tracked per reward
+    return name === 'daily' ? user.lastDaily || 0 : 0;
+}
+
+function createInterest(interest) {
+    const rate = toNumber(interest.rate);
+    const interval = interest.interval !== undefined ? toNumber(interest.interval) : 24 * 60 * 60 * 1000;
+
+    if (isNaN(rate) || rate < 0) throw new ValidationError("The interest rate should be a number of at least zero");
+    if (isNaN(interval) || interval <= 0) throw new ValidationError("The interest interval should be greater than zero");
+    return { rate, interval };
+}
+
+// A fee is either a rate (0.02 for 2%) or { rate, flat }. The flat part is an
+// amount and is parsed by the economy.
+function createFee(fee) {
+    const { rate = 0, flat = 0 } = typeof fee === 'object' ? fee : { rate: fee };
+
+    if (isNaN(toNumber(rate)) || rate < 0 || rate > 1) throw new ValidationError("Fee rates should be between 0 and 1");
+    return { rate: toNumber(rate), flat };
+}
+
+// chance is a probability or fn(attacker, victim) returning one. steal is the
+// [min, max] share of the victim's wallet taken on success, fine a fee on the
+// attacker's wallet when caught. Amounts (maxSteal, the minimum balances and
+// the flat fine) are parsed by the economy.
+const ROB_DEFAULTS = {
+    chance: 0.4,
+    steal: [0.1, 0.3],
+    maxSteal: null,
+    fine: 0.1,
+    finePaidTo: 'victim',
+    minAttackerBalance: 100,
+    minVictimBalance: 100,
+    cooldown: 60 * 60 * 1000,
+    protection: 30 * 60 * 1000,
+    breaksShield: true
+};
+
+function createRobbery(config = {}) {
+    const settings = { ...ROB_DEFAULTS, ...config };
+    const { chance, steal } = settings;
+
+    if (typeof chance !== 'function' && !(toNumber(chance) >= 0 && toNumber(chance) <= 1)) {
+        throw new ValidationError("The chance should be a number from 0 to 1 or a function");
+    }
+    if (!Array.isArray(steal) || steal.length !== 2 || !(toNumber(steal[0]) >= 0 && toNumber(steal[1]) >= toNumber(steal[0]) && toNumber(steal[1]) <= 1)) {
+        throw new ValidationError("steal should be [min, max] with 0 <= min <= max <= 1");
+    }
+    for (const name of ['cooldown', 'protection']) {
+        if (!(toNumber(settings[name]) >= 0)) throw new ValidationError(`The ${name} should be a number of at least zero`);
+    }
+    if (settings.finePaidTo !== 'victim' && settings.finePaidTo !== null) throw new ValidationError("finePaidTo should be 'victim' or null");
+
+    return {
+        ...settings,
+        chance: typeof chance === 'function' ? chance : toNumber(chance),
+        steal: steal.map(toNumber),
+        fine: createFee(settings.fine),
+        cooldown: toNumber(settings.cooldown),
+        protection: toNumber(settings.protection),
+        breaksShield: !!settings.breaksShield
+    };
+}
+
+// A shield is true while it lasts forever, or the time it runs out
+function shielded(user, now = Date.now()) {
+    return user.shield === true || (typeof user.shield === 'number' && user.shield > now);
+}
+
+const LEVEL_DEFAULTS = { base: 100, exponent: 2, maxLevel: null };
+
+// The total XP each level takes: config.curve(level), or base * level ^ exponent
+function createLevels(config = {}) {
+    const settings = typeof config === 'function' ? { ...LEVEL_DEFAULTS, curve: config } : { ...LEVEL_DEFAULTS, ...config };
+    const { curve, maxLevel } = settings;
+    const base = toNumber(settings.base);
+    const exponent = toNumber(settings.exponent);
+
+    if (curve !== undefined && typeof curve !== 'function') throw new ValidationError("The curve should be a function of the level");
+    if (!(base > 0) || !(exponent > 0)) throw new ValidationError("The base and exponent of the curve should be greater than zero");
+    if (maxLevel !== null && !(Number.isInteger(maxLevel) && maxLevel >= 1)) {
+        throw new ValidationError("maxLevel should be a whole number of at least one");
+    }
+
+    return {
+        xpFor: level => level === 0 ? 0 : toNumber(curve ? curve(level) : Math.round(base * level ** exponent)),
+        maxLevel
+    };
+}
+
+// The highest level the XP reaches. Curves only grow, so the range the level
+// lies in is doubled until it is passed and then halved down to it.
+function levelFor(levels, xp) {
+    const reached = level => (levels.maxLevel === null || level <= levels.maxLevel) && levels.xpFor(level) <= xp;
+
+    let low = 0;
+    let high = 1;
+    while (high <= 2 ** 30 && reached(high)) {
+        low = high;
+        high *= 2;
+    }
+    while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (reached(middle)) low = middle;
+        else high = middle;
+    }
+    return low;
+}
+
+const JOB_DEFAULTS = { level: 0, xp: 10, cooldown: 60 * 60 * 1000 };
+
+function createJob(job = {}) {
+    if (!job.id) throw new ValidationError("Please Provide a Job ID");
+    const settings = { id: job.id, name: job.id, ...JOB_DEFAULTS, ...job };
+
+    if (settings.pay === undefined || (Array.isArray(settings.pay) && settings.pay.length !== 2)) {
+        throw new ValidationError("The pay should be an amount or [min, max]");
+    }
+    for (const name of ['level', 'xp']) {
+        if (!Number.isInteger(settings[name]) || settings[name] < 0) throw new ValidationError(`The ${name} should be a whole number of at least zero`);
+    }
+    if (!(toNumber(settings.cooldown) >= 0)) throw new ValidationError("The cooldown should be a number of at least zero");
+
+    return { ...settings, cooldown: toNumber(settings.cooldown) };
+}
+
+// An amount from min to max in whole steps of the currency
+function randomAmount(min, max, step) {
+    const steps = Number((max - min) / step);
+    return minOf(max, min + BigInt(Math.floor(Math.random() * (steps + 1))) * step);
+}
+
+function calculateFee(fee, amount, step) {
+    if (!fee) return 0n;
+    return minOf(amount, floorTo(multiply(amount, fee.rate), step) + fee.flat);
+}
+
+// Interest compounds once per full interval and never lifts the bank past its capacity
+function interestAfter(user, interest, periods, step) {
+    if (user.bank >= user.bankCapacity) return 0n;
+
+    const growth = Math.pow(1 + interest.rate, periods);
+    const grown = Number.isFinite(growth) ? floorTo(multiply(user.bank, growth), step) : user.bankCapacity;
+    return maxOf(0n, minOf(grown, user.bankCapacity) - user.bank);
+}
+
+const LINK_CODE_ATTEMPTS = 5;
+
+function identity(account) {
+    if (!account || !account.userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+    if (!account.platform) throw new ValidationError("Please Provide a Platform");
+    return { userId: account.userId, platform: account.platform, scope: account.scope || null };
+}
+
+// The secondary's money moves into the primary account. Its cooldowns are
+// merged keeping the latest claim, so linking can't be used to claim twice,
+// and its streaks keeping the longer ones.
+function mergeUsers(primary, secondary) {
+    const bankCapacity = maxOf(primary.bankCapacity, secondary.bankCapacity);
+    const bank = primary.bank + secondary.bank;
+    const merged = {
+        wallet: primary.wallet + secondary.wallet + maxOf(0n, bank - bankCapacity),
+        bank: minOf(bank, bankCapacity),
+        bankCapacity,
+        cooldowns: {}
+    };
+
+    const rewards = new Set(['daily', ...Object.keys(primary.cooldowns || {}), ...Object.keys(secondary.cooldowns || {})]);
+    for (const name of rewards) {
+        const claimed = Math.max(lastClaim(primary, name), lastClaim(secondary, name));
+        if (claimed) merged.cooldowns[name] = claimed;
+    }
+
+    if (primary.streaks || secondary.streaks) {
+        merged.streaks = {};
+        for (const name of new Set([...Object.keys(primary.streaks || {}), ...Object.keys(secondary.streaks || {})])) {
+            const [first, second] = [streakState(primary, name), streakState(secondary, name)];
+            merged.streaks[name] = { current: Math.max(first.current, second.current), best: Math.max(first.best, second.best) };
+        }
+    }
+
+    // The shield that lasts longer is kept; true lasts forever
+    if (primary.shield || secondary.shield) {
+        merged.shield = primary.shield === true || secondary.shield === true ? true : Math.max(primary.shield || 0, secondary.shield || 0);
+    }
+
+    for (const field of ['escrow', 'debts']) {
+        if (primary[field] || secondary[field]) merged[field] = { ...primary[field], ...secondary[field] };
+    }
+
+    // XP isn't added up: the account further along keeps its level and job
+    const ahead = (secondary.xp || 0) > (primary.xp || 0) ? secondary : primary;
+    for (const field of ['xp', 'level', 'job']) {
+        if (ahead[field] !== undefined) merged[field] = ahead[field];
+    }
+
+    for (const [field, zero] of [['inventory', 0], ['currencies', 0n]]) {
+        if (!primary[field] && !secondary[field]) continue;
+        merged[field] = { ...primary[field] };
+        for (const [id, amount] of Object.entries(secondary[field] || {})) {
+            merged[field][id] = (merged[field][id] || zero) + amount;
+        }
+    }
+    return merged;
+}
+
+function validateQuantity(quantity) {
+    if (!Number.isInteger(quantity) || quantity < 1) throw new ValidationError("Quantity should be a whole number of at least one");
+}
+
+// What a user is missing to hand over one side of a trade, or null
+function shortfall(user, terms, currency) {
+    const available = walletOf(user, currency);
+    if (available < terms.amount) return { reason: 'insufficient_funds', required: terms.amount, available, currency: currency.id };
+
+    for (const [itemId, quantity] of Object.entries(terms.items)) {
+        const owned = (user.inventory || {})[itemId] || 0;
+        if (owned < quantity) return { reason: 'not_enough_items', item: itemId, required: quantity, owned };
+    }
+    return null;
+}
+
+// User updates adding one side of a trade to a wallet and inventory (sign 1)
+// or taking it out of them (sign -1)
+function applyTerms(user, terms, currency, sign) {
+    const updates = walletUpdate(user, currency, walletOf(user, currency) + BigInt(sign) * terms.amount);
+    if (!Object.keys(terms.items).length) return updates;
+
+    const inventory = { ...user.inventory };
+    for (const [itemId, quantity] of Object.entries(terms.items)) {
+        const owned = (inventory[itemId] || 0) + sign * quantity;
+        if (owned > 0) inventory[itemId] = owned;
+        else delete inventory[itemId];
+    }
+    return { ...updates, inventory };
+}
+
+function withoutKey(object, key) {
+    const { [key]: _, ...rest } = object || {};
+    return rest;
+}
+
+// Whether loading the user in a transaction would refund an expired offer or
+// collect a loan that has fallen due
+function settlementDue(user, now = Date.now()) {
+    return Object.values(user.escrow || {}).some(expiresAt => expiresAt <= now)
+        || Object.values(user.debts || {}).some(debt => debt.dueAt <= now);
+}
+
+function ledgerEntry(type, amount, before, after, options = {}) {
+    return {
+        userId: before.userId,
+        platform: before.platform,
+        scope: before.scope || null,
+        type,
+        amount,
+        before: balances(before),
+        after: balances(after),
+        reason: options.reason || null,
+        metadata: options.metadata || null
+    };
+}
+
+const OPERATIONS = ['give', 'deduct', 'transfer', 'exchange', 'setBankCapacity', 'increaseBankCapacity', 'delete', 'daily', 'claim', 'deposit', 'withdraw', 'buy', 'sell', 'useItem', 'play', 'rob', 'setShield', 'offerTrade', 'offerLoan', 'acceptTrade', 'declineTrade', 'cancelTrade', 'repayLoan', 'work', 'applyJob', 'quitJob', 'addXp'];
+
+function balanceChanged(entry) {
+    const { before, after } = entry;
+    if (before.wallet !== after.wallet || before.bank !== after.bank) return true;
+
+    const ids = new Set([...Object.keys(before.currencies || {}), ...Object.keys(after.currencies || {})]);
+    return [...ids].some(id => (before.currencies || {})[id] !== (after.currencies || {})[id]);
+}
+
+export class FlareEconomy extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dbPath = options.dbPath || 'economy.db';
+        this.dailyCooldown = options.dailyCooldown || 24 * 60 * 60 * 1000; // 24 hours
+        this.defaultBankCapacity = options.defaultBankCapacity || 2500;
+        this.linkCodeTtl = options.linkCodeTtl || 10 * 60 * 1000;
+        this.tradeTtl = options.tradeTtl || 60 * 60 * 1000;
+        this.loanDuration = options.loanDuration || 7 * 24 * 60 * 60 * 1000;
+        this.middleware = new Map();
+        this.stats = new Map();
+        this.leaderboards = new Map();
+        this.leaderboardCache = options.leaderboardCache !== false;
+        this.leaderboardCacheSize = options.leaderboardCacheSize || 50;
+        this.strict = !!options.strict;
+        this.amountFormat = options.amountFormat || 'number';
+        if (!AMOUNT_FORMATS.includes(this.amountFormat)) throw new ValidationError("amountFormat should be 'number', 'string' or 'bigint'");
+
+        // Without registered currencies the wallet holds whole coins
+        const currencies = (options.currencies || [{ id: 'coins' }]).map(createCurrency);
+        const defaultCurrency = currencies.find(currency => currency.default) || currencies[0];
+        currencies.forEach(currency => { currency.default = currency === defaultCurrency; });
+        this.currencies = new Map(currencies.map(currency => [currency.id, currency]));
+        this.defaultCurrency = defaultCurrency.id;
+
+        // Amounts are counted in the smallest unit of the most precise currency;
+        // a currency with fewer decimals moves in steps of several units
+        const scale = Math.max(...currencies.map(currency => currency.decimals));
+        currencies.forEach(currency => { currency.step = 10n ** BigInt(scale - currency.decimals); });
+        this.amounts = new Amounts(scale);
+        this.formatter = new Formatter(options.format);
+
+        this.adapter = options.adapter || new JsonFileAdapter(this.dbPath, options.persistence);
+        this.db = new FlareDatabase(this.adapter, this.amounts);
+        this.rewards = new Map();
+        this.interest = options.interest ? createInterest(options.interest) : null;
+        this.fees = {
+            deposit: options.fees && options.fees.deposit ? createFee(options.fees.deposit) : null,
+            withdraw: options.fees && options.fees.withdraw ? createFee(options.fees.withdraw) : null
+        };
+        for (const fee of Object.values(this.fees)) {
+            if (fee) fee.flat = this.parseAmount(fee.flat, { name: 'flat fee' });
+        }
+        this.exchangeRates = {};
+        for (const [from, rates] of Object.entries(options.exchangeRates || {})) {
+            for (const [to, rate] of Object.entries(rates)) this.setExchangeRate(from, to, rate);
+        }
+
+        if (this.interest) this.db.onLoad((tx, user) => this.accrueInterest(tx, user));
+        this.db.onLoad((tx, user) => this.expireOffers(tx, user));
+        this.db.onLoad((tx, user) => this.collectLoans(tx, user));
+        this.db.onLock((keys, store) => this.dueLenders(keys, store));
+        if (this.amountFormat === 'number') this.db.onWrite(user => this.checkSafe(user));
+        this.db.onCommit(changes => this.updateLeaderboards(changes.users));
+        this.db.onCommit(changes => this.emitChanges(changes));
+        this.db.userDefaults = async (scope, store) => ({
+            bankCapacity: (await this.scopeSettings(scope, store)).defaultBankCapacity
+        });
+
+        // options.games holds settings for every game next to per-game ones:
+        // { houseEdge: 0.03, slots: { maxBet: 500 } }
+        const { rng, ...gameOptions } = options.games || {};
+        const shared = Object.fromEntries(Object.entries(gameOptions).filter(([name]) => !GAMES[name]));
+        this.gameRng = createRng(rng);
+        this.games = new Map();
+        this.gameSettings = new Map();
+        for (const name of Object.keys(GAMES)) this.configureGame(name, { ...shared, ...gameOptions[name] });
+
+        const { rng: robRng, ...robOptions } = options.rob || {};
+        this.robRng = createRng(robRng);
+        this.robSettings = {};
+        this.configureRob(robOptions);
+        this.db.onInit(store => this.resumeRngs(store));
+
+        this.levels = createLevels(options.levels);
+        this.jobs = new Map();
+        for (const job of options.jobs || []) this.defineJob(job);
+
+        this.defineReward('daily', { cooldown: this.dailyCooldown, amount: 100, streak: options.dailyStreak || {} });
+        for (const [name, definition] of Object.entries(options.rewards || {})) {
+            this.defineReward(name, definition);
+        }
+    }
+
+    async flush() {
+        await this.adapter.flush();
+    }
+
+    async close() {
+        await this.adapter.close();
+    }
+
+    // options.strict overrides the instance setting for a single call
+    isStrict(options = {}) {
+        return options.strict !== undefined ? !!options.strict : this.strict;
+    }
+
+    // Amounts may be numbers, numeric strings, BigInts of whole units or
+    // shorthands such as "1.5k", "2m" and "1e30", and become BigInt units of the
+    // currency. With options.shares, "all", "half" and "25%" are accepted too and
+    // returned as { share } for resolveAmount() to apply to a balance.
+    parseAmount(input, options = {}) {
+        const name = options.name || 'amount';
+        const label = name[0].toUpperCase() + name.slice(1);
+        const details = { [name]: input };
+        if (input === undefined || input === null || input === '' || input === false) {
+            throw new InvalidAmountError(`Please Provide ${name === 'amount' ? 'an' : 'a'} ${label}`, details);
+        }
+
+        const currency = options.currency || this.currency();
+        const parsed = this.amounts.parse(input, currency.step);
+        if (!parsed || (parsed.share && !options.shares)) {
+            throw new InvalidAmountError(`The ${name} should be a number${options.all ? " or 'all'" : ''}`, details);
+        }
+        if (parsed.share) return parsed;
+
+        if (options.positive && parsed.units <= 0n) throw new InvalidAmountError(`${label} must be greater than zero`, details);
+        if (parsed.units < 0n) throw new InvalidAmountError(`${label} can't be less than zero`, details);
+        // Rounding would credit or charge something other than what was asked
+        if (!parsed.exact) throw new InvalidAmountError(`The ${name} can have at most ${currency.decimals} decimals`, details);
+        if (this.amountFormat === 'number' && !this.amounts.isSafe(parsed.units)) {
+            throw new InvalidAmountError(`The ${name} is too large to be returned exactly as a number; use amountFormat 'string' or 'bigint'`, details);
+        }
+        return parsed.units;
+    }
+
+    resolveAmount(amount, balance, currency) {
+        if (typeof amount === 'bigint') return amount;
+        return this.amounts.share(maxOf(balance, 0n), amount.share, currency.step);
+    }
+
+    // Units of the currency (default: the default one) for a configured amount,
+    // or null when the value isn't a non-negative amount
+    configuredAmount(value, currency = this.currency()) {
+        const parsed = this.amounts.parse(value, currency.step);
+        return parsed && !parsed.share && parsed.units >= 0n ? parsed.units : null;
+    }
+
+    // Numbers lose precision past Number.MAX_SAFE_INTEGER, so with the default
+    // amountFormat a change that would take a balance there is refused
+    checkSafe(user) {
+        const amounts = [user.wallet, user.bank, user.wallet + user.bank, user.bankCapacity, ...Object.values(user.currencies || {})];
+        const unsafe = amounts.find(amount => !this.amounts.isSafe(amount));
+        if (unsafe === undefined) return;
+
+        throw new InvalidAmountError("The balance would be too large to be returned exactly as a number; use amountFormat 'string' or 'bigint'", {
+            amount: this.amounts.toString(unsafe)
+        });
+    }
+
+    // Amounts leave the economy as amountFormat: plain numbers by default, exact
+    // decimal strings with 'string', or BigInt units with 'bigint'
+    output(value) {
+        if (typeof value === 'bigint') return this.amounts.format(value, this.amountFormat);
+        if (Array.isArray(value)) return value.map(item => this.output(item));
+        if (value && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.output(item)]));
+        }
+        return value;
+    }
+
+    // Events are emitted once the change has been saved, in ledger order
+    emitChanges({ records, created }) {
+        for (const user of created) this.emitSafely('userCreated', this.output(user));
+
+        for (const entry of records) {
+            const payload = this.output(entry);
+            if (balanceChanged(entry)) this.emitSafely('balanceChange', payload);
+            if (entry.before.bankCapacity !== entry.after.bankCapacity) this.emitSafely('capacityChanged', payload);
+            if (entry.type === 'reward' && entry.reward === 'daily') this.emitSafely('dailyClaimed', payload);
+            if (entry.type === 'delete') this.emitSafely('userDeleted', payload);
+            if (entry.level > entry.previousLevel) this.emitSafely('levelUp', payload);
+        }
+    }
+
+    // The change is saved by the time listeners run, so a listener that throws
+    // must not fail the operation: its error goes to the 'error' listeners, and
+    // is dropped when there are none
+    emitSafely(event, payload) {
+        try {
+            this.emit(event, payload);
+        } catch (error) {
+            if (event !== 'error' && this.listenerCount('error')) this.emitSafely('error', error);
+        }
+    }
+
+    // Middleware runs synchronously before an operation, or before every
+    // operation for '*', and may change its arguments or veto it
+    before(operation, middleware) {
+        if (operation !== '*' && !OPERATIONS.includes(operation)) throw new ValidationError(`Unknown operation '${operation}'`);
+        if (typeof middleware !== 'function') throw new ValidationError("The middleware should be a function");
+
+        this.middleware.set(operation, [...(this.middleware.get(operation) || []), middleware]);
+        return this;
+    }
+
+    intercept(operation, args) {
+        const call = {
+            operation,
+            ...args,
+            vetoed: null,
+            veto(reason = 'vetoed') {
+                call.vetoed = reason;
+            }
+        };
+
+        for (const middleware of [...(this.middleware.get('*') || []), ...(this.middleware.get(operation) || [])]) {
+            const result = middleware(call);
+            if (result && typeof result.then === 'function') throw new ValidationError("Middleware must be synchronous");
+            if (result === false) call.veto();
+            if (call.vetoed) break;
+        }
+        return call;
+    }
+
+    // Scopes (a guild id, a group JID...) get their own balances, leaderboards and
+    // config. Anything not configured falls back to the instance defaults.
+    async configureScope(scope, config = {}) {
+        if (!scope) throw new ValidationError("Please Provide a Scope");
+
+        const updates = {};
+        if (config.dailyAmount !== undefined) {
+            updates.dailyAmount = this.configuredAmount(config.dailyAmount);
+            if (updates.dailyAmount === null) throw new ValidationError("The daily amount can't be less than zero");
+        }
+        if (config.defaultBankCapacity !== undefined) {
+            updates.defaultBankCapacity = this.configuredAmount(config.defaultBankCapacity);
+            if (updates.defaultBankCapacity === null) throw new ValidationError("The bank capacity can't be less than zero");
+        }
+
+        await this.db.saveScope(String(scope), updates);
+        return this.scopeConfig(scope);
+    }
+
+    async scopeConfig(scope) {
+        return this.output(await this.scopeSettings(scope));
+    }
+
+    async scopeSettings(scope, store) {
+        const defaults = {
+            dailyAmount: this.amounts.decode(100),
+            defaultBankCapacity: this.parseAmount(this.defaultBankCapacity, { name: 'capacity' })
+        };
+        if (!scope) return defaults;
+
+        return { ...defaults, ...(await this.db.getScope(String(scope), store)) };
+    }
+
+    // Moves the unscoped users (optionally of one platform) into a scope. Users
+    // that already exist in the scope are left alone and reported as skipped.
+    async migrateToScope(scope, options = {}) {
+        if (!scope) throw new ValidationError("Please Provide a Scope");
+
+        const users = await this.db.getAllUsers(options.platform || null);
+        let migrated = 0;
+        let skipped = 0;
+
+        for (const { userId, platform } of users) {
+            const moved = await this.db.transaction([[userId, platform], [userId, platform, scope]], async (tx) => {
+                if (await tx.hasUser(userId, platform, scope)) return false;
+
+                const user = await tx.getUser(userId, platform);
+                const updated = await tx.updateUser({ userId, platform, scope }, { ...user, scope });
+                if (!options.copy) await tx.deleteUser(user);
+                await tx.record({ ...ledgerEntry('migrate', user.wallet + user.bank, user, updated, options), scope, copy: !!options.copy });
+                return true;
+            });
+
+            if (moved) migrated++;
+            else skipped++;
+        }
+
+        return { scope, migrated, skipped };
+    }
+
+    // Linking starts on the primary account: the code it returns is shown there
+    // and has to be entered from the secondary account with confirmLink().
+    async link(primary, secondary) {
+        primary = identity(primary);
+        secondary = identity(secondary);
+        const primaryKey = this.db.userKey(primary.userId, primary.platform, primary.scope);
+        const secondaryKey = this.db.userKey(secondary.userId, secondary.platform, secondary.scope);
+        if (primaryKey === secondaryKey) return { success: false, reason: 'same_account' };
+
+        return this.output(await this.db.transaction([secondaryKey], async (tx) => {
+            const reason = await this.linkConflict(tx, primaryKey, secondaryKey);
+            if (reason) return { success: false, reason };
+
+            const code = String(randomInt(0, 1000000)).padStart(6, '0');
+            const expiresAt = Date.now() + this.linkCodeTtl;
+            await tx.updateLinkRequest(secondaryKey, { primary, code, expiresAt, attempts: 0 });
+            return { success: true, code, expiresAt };
+        }));
+    }
+
+    async linkConflict(tx, primaryKey, secondaryKey) {
+        const links = await tx.getLinks();
+        if (links.some(([key]) => key === primaryKey)) return 'primary_linked';
+        if (links.some(([key]) => key === secondaryKey)) return 'already_linked';
+
+        const hasLinks = links.some(([, link]) => this.db.userKey(link.userId, link.platform, link.scope) === secondaryKey);
+        return hasLinks ? 'has_linked_accounts' : null;
+    }
+
+    async confirmLink(secondary, code, options = {}) {
+        secondary = identity(secondary);
+        if (!code) throw new ValidationError("Please Provide a Code");
+        const secondaryKey = this.db.userKey(secondary.userId, secondary.platform, secondary.scope);
+        const pending = await this.db.transaction([secondaryKey], tx => tx.getLinkRequest(secondaryKey));
+        if (!pending) return { success: false, reason: 'no_request' };
+
+        const { primary } = pending;
+        const primaryKey = this.db.userKey(primary.userId, primary.platform, primary.scope);
+
+        return this.output(await this.db.transaction([secondaryKey, primaryKey], async (tx) => {
+            const request = await tx.getLinkRequest(secondaryKey);
+            if (!request || request.code !== pending.code) return { success: false, reason: 'no_request' };
+            if (request.expiresAt <= Date.now()) {
+                await tx.deleteLinkRequest(secondaryKey);
+                return { success: false, reason: 'expired' };
+            }
+
+            if (String(code).trim() !== request.code) {
+                if (request.attempts + 1 >= LINK_CODE_ATTEMPTS) {
+                    await tx.deleteLinkRequest(secondaryKey);
+                    return { success: false, reason: 'too_many_attempts' };
+                }
+                await tx.updateLinkRequest(secondaryKey, { attempts: request.attempts + 1 });
+                return { success: false, reason: 'invalid_code' };
+            }
+
+            await tx.deleteLinkRequest(secondaryKey);
+            const reason = await this.linkConflict(tx, primaryKey, secondaryKey);
+            if (reason) return { success: false, reason };
+
+            const from = await tx.getUser(secondary.userId, secondary.platform, secondary.scope);
+            const to = await tx.getUser(primary.userId, primary.platform, primary.scope);
+            const updated = await tx.updateUser(to, mergeUsers(to, from));
+            await tx.deleteUser(from);
+            await tx.updateLink(secondaryKey, { ...primary, account: secondary, linkedAt: Date.now() });
+            await tx.record({ ...ledgerEntry('link', from.wallet + from.bank, to, updated, options), linked: secondary });
+
+            return { success: true, primary, secondary, user: updated };
+        }));
+    }
+
+    // The shared account stays with the primary; the unlinked identity starts
+    // over with a fresh record.
+    async unlink(account, options = {}) {
+        account = identity(account);
+        const key = this.db.userKey(account.userId, account.platform, account.scope);
+
+        return this.output(await this.db.transaction([[account.userId, account.platform, account.scope]], async (tx) => {
+            const link = await tx.getLink(key);
+            if (!link) return { success: false, reason: 'not_linked' };
+
+            const primary = identity(link);
+            const user = await tx.getUser(primary.userId, primary.platform, primary.scope);
+            await tx.deleteLink(key);
+            await tx.record({ ...ledgerEntry('unlink', 0n, user, user, options), linked: account });
+
+            return { success: true, primary, secondary: account };
+        }));
+    }
+
+    // Every identity sharing the account, starting with the primary
+    async linkedAccounts(account) {
+        account = identity(account);
+        const links = await this.db.getLinks();
+        const key = this.db.userKey(account.userId, account.platform, account.scope);
+        const link = links.find(([linked]) => linked === key);
+        const primary = link ? identity(link[1]) : account;
+        const primaryKey = this.db.userKey(primary.userId, primary.platform, primary.scope);
+
+        return [primary, ...links
+            .filter(([, linked]) => this.db.userKey(linked.userId, linked.platform, linked.scope) === primaryKey)
+            .map(([, linked]) => linked.account)];
+    }
+
+    currency(currencyId = this.defaultCurrency) {
+        const currency = this.currencies.get(String(currencyId));
+        if (!currency) throw new ValidationError(`Unknown currency '${currencyId}'`, 'UNKNOWN_CURRENCY');
+        return currency;
+    }
+
+    setExchangeRate(from, to, rate) {
+        this.currency(from);
+        this.currency(to);
+        if (isNaN(toNumber(rate)) || rate <= 0) throw new ValidationError("The exchange rate should be greater than zero");
+
+        this.exchangeRates[from] = { ...this.exchangeRates[from], [to]: toNumber(rate) };
+        return { from, to, rate: toNumber(rate) };
+    }
+
+    // A rate only registered in the opposite direction is inverted
+    exchangeRate(from, to) {
+        if (this.exchangeRates[from] && this.exchangeRates[from][to]) return this.exchangeRates[from][to];
+        if (this.exchangeRates[to] && this.exchangeRates[to][from]) return 1 / this.exchangeRates[to][from];
+        return null;
+    }
+
+    async balance(userId, platform = 'discord', options = {}) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        const currency = this.currency(options.currency);
+
+        // Loading the user inside a transaction credits any interest it is owed,
+        // refunds expired offers and collects loans that are due. Users without
+        // a record get their defaults, which are not stored.
+        let user = await this.db.getUser(userId, platform, options.scope);
+        if ((this.interest || settlementDue(user)) && await this.db.hasUser(userId, platform, options.scope)) {
+            user = await this.db.transaction([[userId, platform, options.scope]], tx => tx.getUser(userId, platform, options.scope));
+        }
+
+        if (!currency.default) {
+            const amount = walletOf(user, currency);
+            return this.output({ currency: currency.id, wallet: amount, total: amount });
+        }
+
+        const result = {
+            wallet: user.wallet,
+            bank: user.bank,
+            bankCapacity: user.bankCapacity,
+            total: user.wallet + user.bank
+        };
+
+        if (this.interest) {
+            result.pendingInterest = interestAfter(user, this.interest, 1, currency.step);
+            result.lastInterestAt = user.lastInterest || null;
+            result.nextInterestAt = user.lastInterest ? user.lastInterest + this.interest.interval : null;
+        }
+        if (this.currencies.size > 1) {
+            result.currencies = {};
+            for (const other of this.currencies.values()) {
+                if (!other.default) result.currencies[other.id] = walletOf(user, other);
+            }
+        }
+        return this.output(result);
+    }
+
+    async accrueInterest(tx, user) {
+        const now = Date.now();
+        if (!user.lastInterest) {
+            return tx.updateUser(user, { lastInterest: now });
+        }
+
+        const periods = Math.floor((now - user.lastInterest) / this.interest.interval);
+        if (periods < 1) return user;
+
+        const interest = interestAfter(user, this.interest, periods, this.currency().step);
+        const updated = await tx.updateUser(user, {
+            bank: user.bank + interest,
+            lastInterest: user.lastInterest + periods * this.interest.interval
+        });
+        if (interest > 0n) {
+            await tx.record({ ...ledgerEntry('interest', interest, user, updated), periods, rate: this.interest.rate });
+        }
+        return updated;
+    }
+
+    async give(userId, platform, amount, options = {}) {
+        const call = this.intercept('give', { userId, platform, amount, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, amount, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        const currency = this.currency(options.currency);
+        const giveAmount = this.parseAmount(amount, { currency });
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const newWallet = walletOf(user, currency) + giveAmount;
+
+            const updated = await tx.updateUser(user, walletUpdate(user, currency, newWallet));
+            await tx.record({ ...ledgerEntry('give', giveAmount, user, updated, options), currency: currency.id });
+            return { amount: giveAmount, newBalance: newWallet, currency: currency.id };
+        }));
+    }
+
+    async deduct(userId, platform, amount, options = {}) {
+        const call = this.intercept('deduct', { userId, platform, amount, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, amount, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        const currency = this.currency(options.currency);
+        const strict = this.isStrict(options);
+        const parsed = this.parseAmount(amount, { currency, shares: true });
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const wallet = walletOf(user, currency);
+            const requested = this.resolveAmount(parsed, wallet, currency);
+            if (strict && requested > wallet) {
+                throw new InsufficientFundsError(this.output({ required: requested, available: wallet, currency: currency.id }));
+            }
+
+            const deductAmount = minOf(requested, wallet);
+            const newWallet = wallet - deductAmount;
+
+            const updated = await tx.updateUser(user, walletUpdate(user, currency, newWallet));
+            await tx.record({ ...ledgerEntry('deduct', deductAmount, user, updated, options), currency: currency.id });
+            return { amount: deductAmount, newBalance: newWallet, currency: currency.id };
+        }));
+    }
+
+    async transfer(fromId, toId, platform, amount, options = {}) {
+        const call = this.intercept('transfer', { fromId, toId, platform, amount, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ fromId, toId, platform, amount, options } = call);
+
+        if (!fromId) throw new ValidationError("Please Provide a Sender ID", 'MISSING_USER_ID');
+        if (!toId) throw new ValidationError("Please Provide a Receiver ID", 'MISSING_USER_ID');
+        if (fromId === toId) throw new ValidationError("You can't transfer to yourself");
+
+        const source = options.source || 'wallet';
+        if (source !== 'wallet' && source !== 'bank') throw new ValidationError("The source should be 'wallet' or 'bank'");
+
+        const currency = this.currency(options.currency);
+        if (!currency.default && source !== 'wallet') throw new ValidationError("Only the default currency can be sent from the bank");
+
+        const strict = this.isStrict(options);
+        const transferFee = this.parseAmount(options.fee || 0, { currency, name: 'fee' });
+        const parsed = this.parseAmount(amount, { currency, positive: true, shares: true });
+        const balanceOf = user => currency.default ? { wallet: user.wallet, bank: user.bank } : { wallet: walletOf(user, currency) };
+
+        return this.output(await this.db.transaction([[fromId, platform, options.scope], [toId, platform, options.scope]], async (tx) => {
+            const sender = await tx.getUser(fromId, platform, options.scope);
+            const receiver = await tx.getUser(toId, platform, options.scope);
+            if (this.db.userKey(sender.userId, sender.platform, sender.scope) === this.db.userKey(receiver.userId, receiver.platform, receiver.scope)) {
+                return { success: false, reason: 'same_account' };
+            }
+            const available = source === 'bank' ? sender.bank : walletOf(sender, currency);
+
+            // A share of the balance is taken from what is left after the fee
+            const transferAmount = this.resolveAmount(parsed, available - transferFee, currency);
+            const required = maxOf(transferAmount, currency.step) + transferFee;
+
+            if (transferAmount <= 0n || available < required) {
+                if (strict) throw new InsufficientFundsError(this.output({ required, available, currency: currency.id }));
+                return { success: false, reason: 'insufficient_funds', required, available };
+            }
+
+            const remaining = available - required;
+            const received = walletOf(receiver, currency) + transferAmount;
+            const from = await tx.updateUser(sender, source === 'bank' ? { bank: remaining } : walletUpdate(sender, currency, remaining));
+            const to = await tx.updateUser(receiver, walletUpdate(receiver, currency, received));
+            await tx.record({
+                ...ledgerEntry('transfer_out', transferAmount, sender, from, options),
+                currency: currency.id,
+                counterparty: toId,
+                fee: transferFee,
+                source
+            });
+            await tx.record({
+                ...ledgerEntry('transfer_in', transferAmount, receiver, to, options),
+                currency: currency.id,
+                counterparty: fromId
+            });
+
+            return {
+                success: true,
+                transactionId: tx.id,
+                currency: currency.id,
+                amount: transferAmount,
+                fee: transferFee,
+                from: balanceOf(from),
+                to: balanceOf(to)
+            };
+        }));
+    }
+
+    async exchange(userId, platform, from, to, amount, options = {}) {
+        const call = this.intercept('exchange', { userId, platform, from, to, amount, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, from, to, amount, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        const source = this.currency(from);
+        const target = this.currency(to);
+        if (source === target) throw new ValidationError("Can't exchange a currency for itself");
+
+        const strict = this.isStrict(options);
+        const parsed = this.parseAmount(amount, { currency: source, positive: true, shares: true });
+        const rate = this.exchangeRate(source.id, target.id);
+        if (!rate) return { success: false, reason: 'no_exchange_rate' };
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const available = walletOf(user, source);
+            const spent = this.resolveAmount(parsed, available, source);
+
+            const received = floorTo(multiply(spent, rate), target.step);
+            if (received <= 0n) return { success: false, reason: 'amount_too_small', rate };
+            if (available < spent) {
+                if (strict) throw new InsufficientFundsError(this.output({ required: spent, available, currency: source.id }));
+                return { success: false, reason: 'insufficient_funds', required: spent, available };
+            }
+
+            const debited = { ...user, ...walletUpdate(user, source, available - spent) };
+            const credited = walletUpdate(debited, target, walletOf(debited, target) + received);
+            const updated = await tx.updateUser(user, { ...debited, ...credited });
+            await tx.record({
+                ...ledgerEntry('exchange', spent, user, updated, options),
+                currency: source.id,
+                to: target.id,
+                received,
+                rate
+            });
+
+            return {
+                success: true,
+                from: source.id,
+                to: target.id,
+                amount: spent,
+                received,
+                rate,
+                balances: { [source.id]: walletOf(updated, source), [target.id]: walletOf(updated, target) }
+            };
+        }));
+    }
+
+    async setBankCapacity(userId, platform, capacity, options = {}) {
+        const call = this.intercept('setBankCapacity', { userId, platform, capacity, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, capacity, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        const newCapacity = this.parseAmount(capacity, { name: 'capacity' });
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const updated = await tx.updateUser(user, { bankCapacity: newCapacity });
+            await tx.record(ledgerEntry('capacity', newCapacity - user.bankCapacity, user, updated, options));
+            return { capacity: newCapacity };
+        }));
+    }
+
+    async increaseBankCapacity(userId, platform, amount, options = {}) {
+        const call = this.intercept('increaseBankCapacity', { userId, platform, amount, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, amount, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        const increase = this.parseAmount(amount);
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const updated = await this.addBankCapacity(tx, user, increase, options);
+            return { amount: increase, newCapacity: updated.bankCapacity };
+        }));
+    }
+
+    async addBankCapacity(tx, user, amount, options = {}) {
+        const current = await tx.getUser(user.userId, user.platform, user.scope);
+        const updated = await tx.updateUser(current, { bankCapacity: current.bankCapacity + amount });
+        await tx.record(ledgerEntry('capacity', amount, current, updated, options));
+        return updated;
+    }
+
+    async create(userId, platform, options = {}) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            let user = await tx.getUser(userId, platform, options.scope);
+            if (!(await tx.hasUser(userId, platform, options.scope))) user = await tx.updateUser(user, {});
+            return { created: !user.wallet && !user.bank, user };
+        }));
+    }
+
+    async delete(userId, platform, options = {}) {
+        const call = this.intercept('delete', { userId, platform, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            if (!(await tx.hasUser(userId, platform, options.scope))) return { deleted: false };
+
+            const user = await tx.getUser(userId, platform, options.scope);
+            await tx.deleteUser(user);
+            await tx.record(ledgerEntry('delete', user.wallet + user.bank, user, { ...user, wallet: 0n, bank: 0n }, options));
+            return { deleted: true };
+        }));
+    }
+
+    // Takes { count, offset, platform, sortBy, currency, scope } and returns a
+    // page with its position in the whole board. The positional form
+    // leaderboard(count, platform, sortBy, options) returns just the users.
+    async leaderboard(count = 10, platform = null, sortBy = 'total', options = {}) {
+        const paged = count !== null && typeof count === 'object';
+        if (paged) ({ count = 10, platform = null, sortBy = 'total', ...options } = count);
+
+        const offset = options.offset !== undefined ? toNumber(options.offset) : 0;
+        if (isNaN(toNumber(count))) throw new ValidationError("The count must be a number");
+        if (count < 1) throw new ValidationError("Count must be at least 1");
+        if (!Number.isInteger(offset) || offset < 0) throw new ValidationError("The offset should be a whole number of at least zero");
+
+        const currency = this.currency(options.currency);
+        const index = await this.leaderboardIndex(platform, options.scope, sortBy, currency);
+        const users = index.slice(offset, toNumber(count)).map((entry, position) => {
+            const user = { ...entry.user, rank: offset + position + 1 };
+            if (!currency.default) return { ...user, currency: currency.id, amount: entry.value };
+
+            user.total = user.wallet + user.bank;
+            if (this.stats.has(sortBy) || user[sortBy] === undefined) user[sortBy] = entry.value;
+            return user;
+        });
+        if (!paged) return this.output(users);
+
+        return this.output({
+            users,
+            total: index.size,
+            offset,
+            count: users.length,
+            page: Math.floor(offset / count) + 1,
+            pages: Math.ceil(index.size / count),
+            hasMore: offset + users.length < index.size
+        });
+    }
+
+    // A user's position on the leaderboard of their platform (of every platform
+    // with options.allPlatforms). percentile is the share of users ranked at or
+    // below them, so the top user is at 100.
+    async rank(userId, platform, sortBy = 'total', options = {}) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        const currency = this.currency(options.currency);
+        const account = await this.db.resolveAccount(userId, platform, options.scope);
+        const index = await this.leaderboardIndex(options.allPlatforms ? null : account.platform, account.scope, sortBy, currency);
+        const key = this.db.userKey(account.userId, account.platform, account.scope);
+        const position = index.position(key);
+        const total = index.size;
+
+        if (position < 0) return { userId, platform, sortBy, rank: null, total, percentile: null, value: null };
+
+        const rank = position + 1;
+        return this.output({
+            userId,
+            platform,
+            sortBy,
+            rank,
+            total,
+            percentile: Math.round((total - rank + 1) / total * 10000) / 100,
+            value: index.get(key).value
+        });
+    }
+
+    // A custom sort key for leaderboard() and rank(). fn gets a user, in the
+    // same shape methods return it, and returns a number or BigInt.
+    defineStat(name, fn) {
+        if (!name) throw new ValidationError("Please Provide a Stat Name");
+        if (SORT_KEYS.includes(name)) throw new ValidationError(`'${name}' is a built-in sort key`);
+        if (typeof fn !== 'function') throw new ValidationError("fn should be a function");
+
+        this.stats.set(name, fn);
+        for (const [id, index] of this.leaderboards) {
+            if (index.sortBy === name) this.leaderboards.delete(id);
+        }
+        return this;
+    }
+
+    sortValue(sortBy, currency) {
+        if (!currency.default) return user => walletOf(user, currency);
+        if (sortBy === 'total') return user => user.wallet + user.bank;
+        if (sortBy === 'level' || sortBy === 'xp') return user => user[sortBy] || 0;
+        if (SORT_KEYS.includes(sortBy)) return user => user[sortBy];
+
+        const stat = this.stats.get(sortBy);
+        if (!stat) throw new ValidationError(`Unknown sort key '${sortBy}'`);
+        return user => {
+            const value = stat(this.output(user));
+            if (typeof value === 'bigint') return value;
+            return isNaN(toNumber(value)) ? 0 : toNumber(value);
+        };
+    }
+
+    // Leaderboards are built with one scan the first time they are asked for
+    // and then kept up to date from committed changes. With leaderboardCache
+    // off, for databases also written by other processes, every call rescans.
+    // Only the leaderboardCacheSize most recently used ones are kept, since
+    // platform and scope can come straight from a request.
+    async leaderboardIndex(platform, scope, sortBy, currency) {
+        const id = JSON.stringify([platform || null, scope || null, currency.default ? sortBy : null, currency.id]);
+        let index = this.leaderboards.get(id);
+
+        if (index) {
+            this.leaderboards.delete(id);
+            this.leaderboards.set(id, index);
+        } else {
+            index = new LeaderboardIndex(this.sortValue(sortBy, currency), user => {
+                return (!platform || user.platform === platform) && (user.scope || null) === (scope || null);
+            });
+            index.sortBy = sortBy;
+            if (this.leaderboardCache) {
+                this.leaderboards.set(id, index);
+                if (this.leaderboards.size > this.leaderboardCacheSize) this.leaderboards.delete(this.leaderboards.keys().next().value);
+            }
+        }
+
+        try {
+            await index.build(async () => {
+                const users = await this.db.getAllUsers(platform, scope);
+                return users.map(user => [this.db.userKey(user.userId, user.platform, user.scope), user]);
+            });
+        } catch (error) {
+            if (this.leaderboards.get(id) === index) this.leaderboards.delete(id);
+            throw error;
+        }
+        return index;
+    }
+
+    updateLeaderboards(users) {
+        for (const index of this.leaderboards.values()) {
+            for (const [key, user] of users) index.update(key, user);
+        }
+    }
+
+    // Money supply of a platform (every platform by default) and scope, with
+    // the user count and averages rounded down to the currency's decimals
+    async economyStats(options = {}) {
+        const currency = this.currency(options.currency);
+        const users = await this.db.getAllUsers(options.platform || null, options.scope);
+        const count = BigInt(users.length);
+        const average = amount => count ? floorTo(amount / count, currency.step) : 0n;
+
+        if (!currency.default) {
+            const total = users.reduce((sum, user) => sum + walletOf(user, currency), 0n);
+            return this.output({ currency: currency.id, users: users.length, total, average: average(total) });
+        }
+
+        const wallet = users.reduce((sum, user) => sum + user.wallet, 0n);
+        const bank = users.reduce((sum, user) => sum + user.bank, 0n);
+        return this.output({
+            users: users.length,
+            wallet,
+            bank,
+            total: wallet + bank,
+            average: { wallet: average(wallet), bank: average(bank), total: average(wallet + bank) }
+        });
+    }
+
+    async daily(userId, platform, amount, options = {}) {
+        const call = this.intercept('daily', { userId, platform, amount, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, amount, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        if (amount === undefined) amount = this.amounts.toString((await this.scopeSettings(options.scope)).dailyAmount);
+
+        return this.claim(userId, platform, 'daily', { ...options, amount });
+    }
+
+    // Amounts in the definition are kept as units of the default currency
+    defineReward(name, definition) {
+        const reward = createReward(name, definition);
+        if (reward.amount !== undefined) reward.amount = this.parseAmount(reward.amount);
+        if (reward.range) {
+            const [min, max] = reward.range.map(amount => this.configuredAmount(amount));
+            if (min === null || max === null || max < min) throw new ValidationError("The range should satisfy 0 <= min <= max");
+            reward.range = [min, max];
+        }
+        if (reward.streak && reward.streak.rewards) {
+            reward.streak.rewards = reward.streak.rewards.map(amount => {
+                const units = this.configuredAmount(amount);
+                if (units === null) throw new ValidationError("Streak rewards should be numbers of at least zero");
+                return units;
+            });
+        }
+
+        this.rewards.set(name, reward);
+        return this.output(reward);
+    }
+
+    async rewardAmount(reward, user) {
+        if (reward.amount !== undefined) return reward.amount;
+        if (reward.range) {
+            const [min, max] = reward.range;
+            return randomAmount(min, max, this.currency().step);
+        }
+
+        const amount = await reward.fn(user);
+        const units = this.configuredAmount(amount);
+        if (units === null) throw new InvalidAmountError(`Reward '${reward.name}' produced an invalid amount`, { amount });
+        return units;
+    }
+
+    // options.amount overrides the amount from the reward definition
+    async claim(userId, platform, name, options = {}) {
+        const call = this.intercept('claim', { userId, platform, name, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, name, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        const reward = this.rewards.get(name);
+        if (!reward) throw new ValidationError(`Unknown reward '${name}'`, 'UNKNOWN_REWARD');
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const now = Date.now();
+            const timeSinceLastClaim = now - lastClaim(user, name);
+            const fixedAmount = options.amount !== undefined ? this.parseAmount(options.amount) : reward.amount !== undefined ? reward.amount : null;
+            const { step } = this.currency();
+            const streak = streakState(user, name);
+
+            if (timeSinceLastClaim < reward.cooldown) {
+                const remainingTime = reward.cooldown - timeSinceLastClaim;
+                const result = {
+                    success: false,
+                    cooldown: true,
+                    reward: name,
+                    remainingTime,
+                    readableTime: this.formatTime(remainingTime, options)
+                };
+
+                if (reward.streak) {
+                    result.streak = streak.current;
+                    result.bestStreak = streak.best;
+                    result.nextReward = streakAmount(reward.streak, fixedAmount, streak.current + 1, step);
+                }
+                if (this.isStrict(options)) {
+                    const { success, cooldown, ...details } = result;
+                    throw new CooldownError(this.output(details));
+                }
+                return result;
+            }
+
+            const base = fixedAmount !== null ? fixedAmount : await this.rewardAmount(reward, user);
+            const updates = { cooldowns: { ...user.cooldowns, [name]: now } };
+            let amount = base;
+            let streakResult = {};
+
+            if (reward.streak) {
+                const kept = streak.current > 0 && timeSinceLastClaim <= reward.cooldown + reward.streak.grace;
+                const current = kept ? streak.current + 1 : 1;
+                const best = Math.max(streak.best, current);
+
+                amount = streakAmount(reward.streak, base, current, step);
+                updates.streaks = { ...user.streaks, [name]: { current, best } };
+                streakResult = {
+                    streak: current,
+                    bestStreak: best,
+                    streakReset: streak.current > 0 && !kept,
+                    nextReward: streakAmount(reward.streak, fixedAmount, current + 1, step)
+                };
+            }
+
+            const newWallet = user.wallet + amount;
+            updates.wallet = newWallet;
+            const updated = await tx.updateUser(user, updates);
+            await tx.record({ ...ledgerEntry('reward', amount, user, updated, options), reward: name, streak: streakResult.streak });
+
+            return {
+                success: true,
+                reward: name,
+                amount,
+                newBalance: newWallet,
+                ...streakResult
+            };
+        }));
+    }
+
+    async cooldowns(userId, platform, options = {}) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        const user = await this.db.getUser(userId, platform, options.scope);
+        const now = Date.now();
+
+        return [...this.rewards.values()].map(reward => {
+            const availableAt = lastClaim(user, reward.name) + reward.cooldown;
+            const remainingTime = Math.max(0, availableAt - now);
+
+            return {
+                reward: reward.name,
+                ready: remainingTime === 0,
+                remainingTime,
+                readableTime: this.formatTime(remainingTime, options),
+                availableAt: Math.max(availableAt, now)
+            };
+        });
+    }
+
+    // Settings are merged into the game's current ones
+    configureGame(name, config = {}) {
+        const settings = { ...this.gameSettings.get(name), ...config };
+        const game = createGame(name, settings);
+
+        game.minBet = this.parseAmount(game.minBet, { name: 'minBet' });
+        game.maxBet = game.maxBet !== null ? this.parseAmount(game.maxBet, { name: 'maxBet' }) : null;
+        this.gameSettings.set(name, settings);
+        this.games.set(name, game);
+        return this.output(game);
+    }
+
+    game(name) {
+        const game = this.games.get(name);
+        if (!game) throw new ValidationError(`Unknown game '${name}'`);
+        return game;
+    }
+
+    // The bet leaves the wallet and the payout comes back in one transaction,
+    // so a bet can never be paid out without having been taken
+    async play(userId, platform, name, bet, options = {}) {
+        const call = this.intercept('play', { userId, platform, game: name, bet, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, game: name, bet, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        const game = this.game(name);
+        const input = GAMES[game.name].input(options, game);
+        const strict = this.isStrict(options);
+        const currency = this.currency();
+        const parsed = this.parseAmount(bet, { name: 'bet', positive: true, shares: true });
+        const cooldownKey = `game:${game.name}`;
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope], ...this.rngLocks('games', this.gameRng)], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const now = Date.now();
+            const sinceLastPlay = now - lastClaim(user, cooldownKey);
+
+            if (sinceLastPlay < game.cooldown) {
+                const remainingTime = game.cooldown - sinceLastPlay;
+                const result = { success: false, cooldown: true, game: game.name, remainingTime, readableTime: this.formatTime(remainingTime, options) };
+                if (strict) throw new CooldownError({ reward: game.name, game: game.name, remainingTime, readableTime: result.readableTime });
+                return result;
+            }
+
+            const amount = this.resolveAmount(parsed, user.wallet, currency);
+            if (amount < game.minBet || (game.maxBet !== null && amount > game.maxBet)) {
+                const limits = { bet: amount, minBet: game.minBet, maxBet: game.maxBet };
+                const tooSmall = amount < game.minBet;
+                if (strict) {
+                    const { bet, minBet, maxBet } = this.output(limits);
+                    throw new InvalidAmountError(tooSmall ? `The bet should be at least ${minBet}` : `The bet can be at most ${maxBet}`, { bet, minBet, maxBet });
+                }
+                return { success: false, reason: tooSmall ? 'bet_too_small' : 'bet_too_large', ...limits };
+            }
+            if (user.wallet < amount) {
+                if (strict) throw new InsufficientFundsError(this.output({ required: amount, available: user.wallet }));
+                return { success: false, reason: 'insufficient_funds', required: amount, available: user.wallet };
+            }
+
+            const { random, proof } = this.gameRng.round(options.clientSeed);
+            await this.saveRng(tx, 'games', this.gameRng);
+            const { outcome, multiplier } = GAMES[game.name].play(random, game, input);
+            const paidMultiplier = multiplier === 1 ? 1 : multiplier * (1 - game.houseEdge);
+            const payout = floorTo(multiply(amount, paidMultiplier), currency.step);
+
+            const updates = { wallet: user.wallet - amount + payout };
+            if (game.cooldown) updates.cooldowns = { ...user.cooldowns, [cooldownKey]: now };
+            const updated = await tx.updateUser(user, updates);
+            await tx.record({ ...ledgerEntry('game', amount, user, updated, options), game: game.name, input, outcome, payout, proof });
+
+            return {
+                success: true,
+                game: game.name,
+                input,
+                outcome,
+                win: payout > amount,
+                bet: amount,
+                payout,
+                profit: payout - amount,
+                multiplier: paidMultiplier,
+                newBalance: updated.wallet,
+                proof
+            };
+        }));
+    }
+
+    async coinflip(userId, platform, bet, choice, options = {}) {
+        return this.play(userId, platform, 'coinflip', bet, { ...options, choice });
+    }
+
+    async dice(userId, platform, bet, guess, options = {}) {
+        return this.play(userId, platform, 'dice', bet, { ...options, guess });
+    }
+
+    async slots(userId, platform, bet, options = {}) {
+        return this.play(userId, platform, 'slots', bet, options);
+    }
+
+    async blackjack(userId, platform, bet, options = {}) {
+        return this.play(userId, platform, 'blackjack', bet, options);
+    }
+
+    // Replays a game result or ledger entry with the server seed revealed by
+    // gameRng.rotate(). Uses the current game settings, so verify results
+    // before changing them.
+    verifyGame(result, serverSeed) {
+        if (!result || !result.proof) throw new ValidationError("The result has no proof to verify");
+        if (ProvablyFairRng.hash(serverSeed) !== result.proof.serverSeedHash) return { valid: false, reason: 'seed_mismatch' };
+
+        const game = this.game(result.game);
+        const random = ProvablyFairRng.stream(serverSeed, result.proof.clientSeed, result.proof.nonce);
+        const { outcome } = GAMES[game.name].play(random, game, result.input);
+        return { valid: JSON.stringify(outcome) === JSON.stringify(result.outcome), outcome };
+    }
+
+    // Provably fair generators keep their seed and nonce in the meta collection.
+    // On start the seed of the last run is revealed and a new one takes over.
+    async resumeRngs(store) {
+        for (const [name, rng] of [['games', this.gameRng], ['rob', this.robRng]]) {
+            if (!(rng instanceof ProvablyFairRng)) continue;
+            const stored = await store.get('meta', `rng:${name}`);
+            if (stored) rng.resume(stored);
+            await store.update('meta', `rng:${name}`, rng.state());
+        }
+    }
+
+    // Rounds of a provably fair generator lock its stored state, so they are
+    // saved in the order they drew and the stored nonce never goes back
+    rngLocks(name, rng) {
+        return rng instanceof ProvablyFairRng ? [`meta:rng:${name}`] : [];
+    }
+
+    // Stores the nonce a round used in the same transaction as its outcome
+    async saveRng(tx, name, rng) {
+        if (rng instanceof ProvablyFairRng) await tx.updateMeta(`rng:${name}`, rng.state());
+    }
+
+    configureRob(config = {}) {
+        const settings = { ...this.robSettings, ...config };
+        const robbery = createRobbery(settings);
+
+        robbery.maxSteal = robbery.maxSteal !== null ? this.parseAmount(robbery.maxSteal, { name: 'maxSteal' }) : null;
+        robbery.minAttackerBalance = this.parseAmount(robbery.minAttackerBalance, { name: 'minAttackerBalance' });
+        robbery.minVictimBalance = this.parseAmount(robbery.minVictimBalance, { name: 'minVictimBalance' });
+        robbery.fine.flat = this.parseAmount(robbery.fine.flat, { name: 'flat fine' });
+        this.robSettings = settings;
+        this.robbery = robbery;
+        return this.output(robbery);
+    }
+
+    // Only the victim's wallet can be stolen from; the bank is always safe. A
+    // caught attacker pays a fine, to the victim by default. Either way the
+    // attacker goes on cooldown, and a robbed victim is protected for a while.
+    async rob(attackerId, victimId, platform, options = {}) {
+        const call = this.intercept('rob', { attackerId, victimId, platform, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ attackerId, victimId, platform, options } = call);
+
+        if (!attackerId) throw new ValidationError("Please Provide an Attacker ID", 'MISSING_USER_ID');
+        if (!victimId) throw new ValidationError("Please Provide a Victim ID", 'MISSING_USER_ID');
+        if (attackerId === victimId) throw new ValidationError("You can't rob yourself");
+
+        const settings = this.robbery;
+        const strict = this.isStrict(options);
+        const { step } = this.currency();
+
+        return this.output(await this.db.transaction([[attackerId, platform, options.scope], [victimId, platform, options.scope], ...this.rngLocks('rob', this.robRng)], async (tx) => {
+            const attacker = await tx.getUser(attackerId, platform, options.scope);
+            const victim = await tx.getUser(victimId, platform, options.scope);
+            if (this.db.userKey(attacker.userId, attacker.platform, attacker.scope) === this.db.userKey(victim.userId, victim.platform, victim.scope)) {
+                return { success: false, reason: 'same_account' };
+            }
+
+            const now = Date.now();
+            const sinceLastRob = now - lastClaim(attacker, 'rob:attempt');
+            if (sinceLastRob < settings.cooldown) {
+                const remainingTime = settings.cooldown - sinceLastRob;
+                const result = { success: false, cooldown: true, remainingTime, readableTime: this.formatTime(remainingTime, options) };
+                if (strict) throw new CooldownError({ reward: 'rob', remainingTime, readableTime: result.readableTime });
+                return result;
+            }
+
+            if (shielded(victim, now)) return { success: false, reason: 'shielded', shield: victim.shield };
+            const protectedFor = lastClaim(victim, 'rob:victim') + settings.protection - now;
+            if (protectedFor > 0) {
+                return { success: false, reason: 'protected', remainingTime: protectedFor, readableTime: this.formatTime(protectedFor, options) };
+            }
+
+            if (attacker.wallet < settings.minAttackerBalance) {
+                if (strict) throw new InsufficientFundsError(this.output({ required: settings.minAttackerBalance, available: attacker.wallet }));
+                return { success: false, reason: 'attacker_too_poor', required: settings.minAttackerBalance, available: attacker.wallet };
+            }
+            if (victim.wallet < settings.minVictimBalance) {
+                return { success: false, reason: 'victim_too_poor', required: settings.minVictimBalance, available: victim.wallet };
+            }
+
+            const { random, proof } = this.robRng.round(options.clientSeed);
+            await this.saveRng(tx, 'rob', this.robRng);
+            const odds = typeof settings.chance === 'function' ? toNumber(settings.chance(this.output(attacker), this.output(victim))) : settings.chance;
+            const chance = isNaN(odds) ? 0 : Math.min(Math.max(odds, 0), 1);
+            const robbed = random() < chance;
+
+            let stolen = 0n;
+            let fine = 0n;
+            if (robbed) {
+                const [min, max] = settings.steal;
+                stolen = floorTo(multiply(victim.wallet, min + random() * (max - min)), step);
+                if (settings.maxSteal !== null) stolen = minOf(stolen, settings.maxSteal);
+            } else {
+                fine = calculateFee(settings.fine, attacker.wallet, step);
+            }
+            const compensation = settings.finePaidTo === 'victim' ? fine : 0n;
+
+            const attackerUpdates = { wallet: attacker.wallet + stolen - fine, cooldowns: { ...attacker.cooldowns, 'rob:attempt': now } };
+            if (settings.breaksShield && attacker.shield) attackerUpdates.shield = null;
+            const victimUpdates = { wallet: victim.wallet - stolen + compensation };
+            if (robbed) victimUpdates.cooldowns = { ...victim.cooldowns, 'rob:victim': now };
+
+            const attackerAfter = await tx.updateUser(attacker, attackerUpdates);
+            const victimAfter = await tx.updateUser(victim, victimUpdates);
+            const details = { robbed, chance, stolen, fine, proof };
+            await tx.record({ ...ledgerEntry('rob', robbed ? stolen : fine, attacker, attackerAfter, options), ...details, role: 'attacker', counterparty: victimId });
+            await tx.record({ ...ledgerEntry('rob', robbed ? stolen : compensation, victim, victimAfter, options), ...details, role: 'victim', counterparty: attackerId });
+
+            return {
+                success: true,
+                robbed,
+                chance,
+                stolen,
+                fine,
+                newBalance: attackerAfter.wallet,
+                victimBalance: victimAfter.wallet,
+                proof
+            };
+        }));
+    }
+
+    // Shields a user from being robbed for duration milliseconds, for good with
+    // true, or removes the shield with false
+    async setShield(userId, platform, duration = true, options = {}) {
+        const call = this.intercept('setShield', { userId, platform, duration, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, duration, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        if (typeof duration !== 'boolean' && !(toNumber(duration) > 0)) {
+            throw new ValidationError("The duration should be greater than zero, true or false");
+        }
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const updated = typeof duration === 'boolean'
+                ? await tx.updateUser(user, { shield: duration || null })
+                : await tx.updateUser(user, { shield: Date.now() + toNumber(duration) });
+            return { success: true, shield: updated.shield };
+        }));
+    }
+
+    // Shield items add their duration to whatever is left of the current shield
+    async extendShield(tx, user, duration) {
+        if (user.shield === true) return user;
+
+        const now = Date.now();
+        return tx.updateUser(user, { shield: Math.max(shielded(user, now) ? user.shield : 0, now) + duration });
     }
 
-    async init() {
-        if (this.initialized) return;
-        
-        try {
-            await access(this.dbPath, constants.F_OK);
-            const fileContent = await readFile(this.dbPath, 'utf8');
-            this.data = JSON.parse(fileContent || '{}');
-        } catch (error) {
-            this.data = {};
-            await this.save();
-        }
-        
-        this.initialized = true;
+    // Pay is an amount or a [min, max] range, kept as units of the default currency
+    defineJob(definition) {
+        const job = createJob(definition);
+        const [min, max] = (Array.isArray(job.pay) ? job.pay : [job.pay, job.pay]).map(amount => this.configuredAmount(amount));
+        if (min === null || max === null || max < min) throw new ValidationError("The pay should satisfy 0 <= min <= max");
+
+        job.pay = Array.isArray(job.pay) ? [min, max] : min;
+        this.jobs.set(job.id, job);
+        return this.output(job);
     }
 
-    async save() {
-        await writeFile(this.dbPath, JSON.stringify(this.data, null, 2));
+    removeJob(jobId) {
+        return { removed: this.jobs.delete(jobId) };
     }
 
-    async getUser(userId, platform) {
-        await this.init();
-        const key = `${platform}:${userId}`;
-        
-        if (!this.data[key]) {
-            this.data[key] = {
-                userId,
-                platform,
-                wallet: 0,
-                bank: 0,
-                bankCapacity: 2500,
-                lastDaily: 0
+    listJobs() {
+        return this.output([...this.jobs.values()]);
+    }
+
+    // XP and level after gaining xp, next to the level the user had before
+    gainXp(user, xp) {
+        const total = (user.xp || 0) + xp;
+        return { xp: total, level: levelFor(this.levels, total), previousLevel: levelFor(this.levels, user.xp || 0) };
+    }
+
+    // Where the XP stands between the user's level and the next one, which is
+    // null at maxLevel
+    levelProgress(xp) {
+        const level = levelFor(this.levels, xp);
+        const last = this.levels.maxLevel !== null && level >= this.levels.maxLevel;
+        const nextLevelXp = last ? null : this.levels.xpFor(level + 1);
+        return { xp, level, levelXp: this.levels.xpFor(level), nextLevelXp, remainingXp: last ? null : nextLevelXp - xp };
+    }
+
+    async progress(userId, platform, options = {}) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        const user = await this.db.getUser(userId, platform, options.scope);
+        return { ...this.levelProgress(user.xp || 0), job: user.job || null };
+    }
+
+    async addXp(userId, platform, xp, options = {}) {
+        const call = this.intercept('addXp', { userId, platform, xp, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, xp, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        if (!Number.isInteger(xp) || xp < 1) throw new ValidationError("XP should be a whole number of at least one");
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const { xp: total, level, previousLevel } = this.gainXp(user, xp);
+
+            const updated = await tx.updateUser(user, { xp: total, level });
+            await tx.record({ ...ledgerEntry('xp', 0n, user, updated, options), xp, level, previousLevel });
+            return { success: true, xpGained: xp, xp: total, level, previousLevel, leveledUp: level > previousLevel };
+        }));
+    }
+
+    // Pays the user's job and grants its XP. Work has a cooldown of its own,
+    // the current job's, which switching jobs doesn't reset.
+    async work(userId, platform, options = {}) {
+        const call = this.intercept('work', { userId, platform, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        const strict = this.isStrict(options);
+        const { step } = this.currency();
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const job = user.job ? this.jobs.get(user.job) : null;
+            if (!job) return { success: false, reason: 'no_job' };
+
+            const now = Date.now();
+            const sinceLastWork = now - lastClaim(user, 'work');
+            if (sinceLastWork < job.cooldown) {
+                const remainingTime = job.cooldown - sinceLastWork;
+                const result = { success: false, cooldown: true, job: job.id, remainingTime, readableTime: this.formatTime(remainingTime, options) };
+                if (strict) throw new CooldownError({ reward: 'work', job: job.id, remainingTime, readableTime: result.readableTime });
+                return result;
+            }
+
+            const pay = Array.isArray(job.pay) ? randomAmount(job.pay[0], job.pay[1], step) : job.pay;
+            const { xp, level, previousLevel } = this.gainXp(user, job.xp);
+            const updated = await tx.updateUser(user, {
+                wallet: user.wallet + pay,
+                xp,
+                level,
+                cooldowns: { ...user.cooldowns, work: now }
+            });
+            await tx.record({ ...ledgerEntry('work', pay, user, updated, options), job: job.id, xp: job.xp, level, previousLevel });
+
+            return {
+                success: true,
+                job: job.id,
+                amount: pay,
+                newBalance: updated.wallet,
+                xpGained: job.xp,
+                xp,
+                level,
+                previousLevel,
+                leveledUp: level > previousLevel
             };
-            await this.save();
-        }
-        
-        return { ...this.data[key] };
+        }));
     }
 
-    async updateUser(userId, platform, updates) {
-        await this.init();
-        const key = `${platform}:${userId}`;
-        
-        if (!this.data[key]) {
-            await this.getUser(userId, platform);
-        }
-        
-        this.data[key] = { ...this.data[key], ...updates };
-        await this.save();
-        return { ...this.data[key] };
+    // Taking a job needs the job's level. Taking another one replaces the
+    // current job, quitJob() leaves it.
+    async applyJob(userId, platform, jobId, options = {}) {
+        const call = this.intercept('applyJob', { userId, platform, jobId, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, jobId, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        const job = this.jobs.get(jobId);
+        if (!job) return { success: false, reason: 'job_not_found' };
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            if (user.job === job.id) return { success: false, reason: 'already_employed', job: job.id };
+
+            const level = levelFor(this.levels, user.xp || 0);
+            if (level < job.level) return { success: false, reason: 'level_too_low', required: job.level, level };
+
+            await tx.updateUser(user, { job: job.id });
+            return { success: true, job: job.id, previousJob: user.job || null };
+        }));
     }
 
-    async getAllUsers(platform = null) {
-        await this.init();
-        const users = [];
-        
-        for (const [key, user] of Object.entries(this.data)) {
-            if (platform && key.startsWith(platform + ':')) {
-                users.push({ ...user });
-            } else if (!platform) {
-                users.push({ ...user });
+    async quitJob(userId, platform, options = {}) {
+        const call = this.intercept('quitJob', { userId, platform, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            if (!user.job) return { success: false, reason: 'no_job' };
+
+            await tx.updateUser(user, { job: null });
+            return { success: true, job: user.job };
+        }));
+    }
+
+    async deposit(userId, platform, amount, options = {}) {
+        const call = this.intercept('deposit', { userId, platform, amount, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, amount, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        const strict = this.isStrict(options);
+        const currency = this.currency();
+        const parsed = this.parseAmount(amount, { all: true, shares: true });
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const availableSpace = user.bankCapacity - user.bank;
+            const requested = this.resolveAmount(parsed, user.wallet, currency);
+
+            if (strict && !parsed.all) {
+                if (requested > user.wallet) throw new InsufficientFundsError(this.output({ required: requested, available: user.wallet }));
+                if (requested > availableSpace) throw new CapacityExceededError(this.output({ required: requested, available: availableSpace }));
+            }
+
+            const depositAmount = minOf(requested, user.wallet, availableSpace);
+
+            if (depositAmount <= 0n) {
+                return { success: false, reason: 'no_funds_or_space' };
+            }
+
+            const fee = calculateFee(this.fees.deposit, depositAmount, currency.step);
+            if (fee >= depositAmount) {
+                return { success: false, reason: 'fee_exceeds_amount', fee };
+            }
+
+            const newWallet = user.wallet - depositAmount;
+            const newBank = user.bank + depositAmount - fee;
+
+            const updated = await tx.updateUser(user, {
+                wallet: newWallet,
+                bank: newBank
+            });
+            await tx.record({ ...ledgerEntry('deposit', depositAmount, user, updated, options), fee });
+
+            return {
+                success: true,
+                amount: depositAmount,
+                fee,
+                newWallet,
+                newBank
+            };
+        }));
+    }
+
+    async withdraw(userId, platform, amount, options = {}) {
+        const call = this.intercept('withdraw', { userId, platform, amount, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, amount, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        const strict = this.isStrict(options);
+        const currency = this.currency();
+        const parsed = this.parseAmount(amount, { all: true, shares: true });
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(userId, platform, options.scope);
+            const requested = this.resolveAmount(parsed, user.bank, currency);
+
+            if (strict && requested > user.bank) {
+                throw new InsufficientFundsError(this.output({ required: requested, available: user.bank }));
+            }
+
+            const withdrawAmount = minOf(requested, user.bank);
+
+            if (withdrawAmount <= 0n) {
+                return { success: false, reason: 'no_funds' };
+            }
+
+            const fee = calculateFee(this.fees.withdraw, withdrawAmount, currency.step);
+            if (fee >= withdrawAmount) {
+                return { success: false, reason: 'fee_exceeds_amount', fee };
+            }
+
+            const newWallet = user.wallet + withdrawAmount - fee;
+            const newBank = user.bank - withdrawAmount;
+
+            const updated = await tx.updateUser(user, {
+                wallet: newWallet,
+                bank: newBank
+            });
+            await tx.record({ ...ledgerEntry('withdraw', withdrawAmount, user, updated, options), fee });
+
+            return {
+                success: true,
+                amount: withdrawAmount,
+                fee,
+                newWallet,
+                newBank
+            };
+        }));
+    }
+
+    async addItem(item) {
+        const created = createItem(item);
+        const { step } = this.currency();
+        const price = this.parseAmount(created.price, { name: 'price' });
+        const sellPrice = created.sellPrice !== null ? this.parseAmount(created.sellPrice, { name: 'sellPrice' }) : floorTo(price / 2n, step);
+        const capacity = created.capacity !== null ? this.parseAmount(created.capacity, { name: 'capacity' }) : null;
+        if (capacity !== null && capacity <= 0n) throw new ValidationError("Bank notes need a capacity greater than zero");
+
+        return this.output(await this.db.saveItem({ ...created, price, sellPrice, capacity }));
+    }
+
+    async removeItem(itemId) {
+        if (!itemId) throw new ValidationError("Please Provide an Item ID");
+        return { removed: await this.db.deleteItem(itemId) };
+    }
+
+    async getItem(itemId) {
+        if (!itemId) throw new ValidationError("Please Provide an Item ID");
+        return this.output(await this.db.getItem(itemId));
+    }
+
+    async shop() {
+        return this.output(await this.db.getAllItems());
+    }
+
+    async buy(userId, platform, itemId, quantity = 1, options = {}) {
+        const call = this.intercept('buy', { userId, platform, itemId, quantity, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, itemId, quantity, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        if (!itemId) throw new ValidationError("Please Provide an Item ID");
+        validateQuantity(quantity);
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope], `item:${itemId}`], async (tx) => {
+            const item = await tx.getItem(itemId);
+            if (!item) return { success: false, reason: 'item_not_found' };
+
+            const tags = options.tags || [];
+            const missing = item.requires.filter(tag => !tags.includes(tag));
+            if (missing.length) return { success: false, reason: 'missing_requirements', missing };
+
+            if (item.stock !== null && item.stock < quantity) {
+                return { success: false, reason: 'out_of_stock', stock: item.stock };
+            }
+
+            const user = await tx.getUser(userId, platform, options.scope);
+            const inventory = user.inventory || {};
+            const owned = inventory[itemId] || 0;
+            if (item.maxPerUser !== null && owned + quantity > item.maxPerUser) {
+                return { success: false, reason: 'max_per_user', owned, maxPerUser: item.maxPerUser };
+            }
+
+            const cost = item.price * BigInt(quantity);
+            if (user.wallet < cost) {
+                if (this.isStrict(options)) throw new InsufficientFundsError(this.output({ required: cost, available: user.wallet }));
+                return { success: false, reason: 'insufficient_funds', required: cost, available: user.wallet };
+            }
+
+            const updated = await tx.updateUser(user, {
+                wallet: user.wallet - cost,
+                inventory: { ...inventory, [itemId]: owned + quantity }
+            });
+            if (item.stock !== null) await tx.updateItem(itemId, { stock: item.stock - quantity });
+            await tx.record({ ...ledgerEntry('buy', cost, user, updated, options), item: itemId, quantity });
+
+            return {
+                success: true,
+                item: itemId,
+                quantity,
+                cost,
+                newBalance: updated.wallet,
+                owned: owned + quantity
+            };
+        }));
+    }
+
+    async sell(userId, platform, itemId, quantity = 1, options = {}) {
+        const call = this.intercept('sell', { userId, platform, itemId, quantity, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, itemId, quantity, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        if (!itemId) throw new ValidationError("Please Provide an Item ID");
+        validateQuantity(quantity);
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope], `item:${itemId}`], async (tx) => {
+            const item = await tx.getItem(itemId);
+            if (!item) return { success: false, reason: 'item_not_found' };
+            if (!item.sellable) return { success: false, reason: 'not_sellable' };
+
+            const user = await tx.getUser(userId, platform, options.scope);
+            const inventory = user.inventory || {};
+            const owned = inventory[itemId] || 0;
+            if (owned < quantity) return { success: false, reason: 'not_enough_items', owned };
+
+            const earned = item.sellPrice * BigInt(quantity);
+            const { [itemId]: _, ...rest } = inventory;
+            const updated = await tx.updateUser(user, {
+                wallet: user.wallet + earned,
+                inventory: owned > quantity ? { ...rest, [itemId]: owned - quantity } : rest
+            });
+            if (item.stock !== null) await tx.updateItem(itemId, { stock: item.stock + quantity });
+            await tx.record({ ...ledgerEntry('sell', earned, user, updated, options), item: itemId, quantity });
+
+            return {
+                success: true,
+                item: itemId,
+                quantity,
+                earned,
+                newBalance: updated.wallet,
+                owned: owned - quantity
+            };
+        }));
+    }
+
+    async useItem(userId, platform, itemId, quantity = 1, options = {}) {
+        const call = this.intercept('useItem', { userId, platform, itemId, quantity, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, itemId, quantity, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        if (!itemId) throw new ValidationError("Please Provide an Item ID");
+        validateQuantity(quantity);
+
+        return this.output(await this.db.transaction([[userId, platform, options.scope], `item:${itemId}`], async (tx) => {
+            const item = await tx.getItem(itemId);
+            if (!item) return { success: false, reason: 'item_not_found' };
+
+            const user = await tx.getUser(userId, platform, options.scope);
+            const inventory = user.inventory || {};
+            const owned = inventory[itemId] || 0;
+            if (owned < quantity) return { success: false, reason: 'not_enough_items', owned };
+
+            const { [itemId]: _, ...rest } = inventory;
+            const updated = await tx.updateUser(user, {
+                inventory: owned > quantity ? { ...rest, [itemId]: owned - quantity } : rest
+            });
+            await tx.record({ ...ledgerEntry('use', 0n, user, updated, options), item: itemId, quantity });
+
+            const result = { success: true, item: itemId, kind: item.kind, quantity, owned: owned - quantity };
+            if (item.kind === 'banknote') {
+                const expanded = await this.addBankCapacity(tx, updated, item.capacity * BigInt(quantity), options);
+                result.newCapacity = expanded.bankCapacity;
             }
+            if (item.kind === 'shield') {
+                const shieldedUser = await this.extendShield(tx, updated, item.duration * quantity);
+                result.shield = shieldedUser.shield;
+            }
+
+            return result;
+        }));
+    }
+
+    // One side of a trade: an amount of a currency and/or items by id, such as
+    // { amount: 500, currency: 'gems', items: { sword: 1 } }
+    tradeTerms(side = {}, options = {}) {
+        if (!side || typeof side !== 'object') throw new ValidationError("A trade offer or request should be an object");
+
+        const currency = this.currency(side.currency);
+        const amount = side.amount !== undefined && side.amount !== null
+            ? this.parseAmount(side.amount, { currency })
+            : 0n;
+        const items = {};
+        for (const [itemId, quantity] of Object.entries(side.items || {})) {
+            validateQuantity(quantity);
+            items[itemId] = quantity;
         }
-        
-        return users;
+        return { amount, currency: currency.id, items };
     }
-}
 
-export class FlareEconomy {
-    constructor(options = {}) {
-        this.dbPath = options.dbPath || 'economy.db';
-        this.dailyCooldown = options.dailyCooldown || 24 * 60 * 60 * 1000; // 24 hours
-        this.defaultBankCapacity = options.defaultBankCapacity || 2500;
-        this.db = new FlareDatabase(this.dbPath);
+    // Trades move the offer out of the offering wallet into escrow right away.
+    // The other user then accepts (swapping it for the request in one
+    // transaction) or declines; unanswered offers expire after options.expiresIn.
+    async offerTrade(fromId, toId, platform, offer, request = {}, options = {}) {
+        const call = this.intercept('offerTrade', { fromId, toId, platform, offer, request, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ fromId, toId, platform, offer, request, options } = call);
+
+        const terms = { offer: this.tradeTerms(offer, options), request: this.tradeTerms(request, options) };
+        if (!terms.offer.amount && !Object.keys(terms.offer.items).length) {
+            throw new ValidationError("The offer should include an amount or items");
+        }
+        return this.openOffer('trade', fromId, toId, platform, terms, options);
     }
 
-    async balance(userId, platform = 'discord') {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        const user = await this.db.getUser(userId, platform);
-        return {
-            wallet: user.wallet,
-            bank: user.bank,
-            bankCapacity: user.bankCapacity,
-            total: user.wallet + user.bank
+    // A loan offer escrows the principal like a trade. Once accepted, the
+    // borrower owes it plus options.interest (0.1 for 10%) by options.duration
+    // from then, collected from their wallet and then their bank.
+    async offerLoan(lenderId, borrowerId, platform, principal, options = {}) {
+        const call = this.intercept('offerLoan', { lenderId, borrowerId, platform, principal, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ lenderId, borrowerId, platform, principal, options } = call);
+
+        const amount = this.parseAmount(principal, { name: 'principal', positive: true });
+        const interest = options.interest !== undefined ? toNumber(options.interest) : 0;
+        const duration = options.duration !== undefined ? toNumber(options.duration) : this.loanDuration;
+        if (isNaN(interest) || interest < 0) throw new ValidationError("The interest should be a number of at least zero");
+        if (isNaN(duration) || duration <= 0) throw new ValidationError("The duration should be greater than zero");
+
+        const amountDue = amount + floorTo(multiply(amount, interest), this.currency().step);
+        const terms = {
+            offer: { amount, currency: this.defaultCurrency, items: {} },
+            request: { amount: 0n, currency: this.defaultCurrency, items: {} },
+            loan: { interest, duration, amountDue }
         };
+        return this.openOffer('loan', lenderId, borrowerId, platform, terms, options);
     }
 
-    async give(userId, platform, amount) {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        if (!amount && amount !== 0) throw new TypeError("Please Provide an Amount");
-        if (isNaN(amount)) throw new TypeError("The amount should be a number");
-        if (amount < 0) throw new TypeError("Amount can't be less than zero");
+    async openOffer(kind, fromId, toId, platform, terms, options) {
+        if (!fromId) throw new ValidationError("Please Provide a Sender ID", 'MISSING_USER_ID');
+        if (!toId) throw new ValidationError("Please Provide a Receiver ID", 'MISSING_USER_ID');
 
-        const user = await this.db.getUser(userId, platform);
-        const newWallet = user.wallet + Number(amount);
-        
-        await this.db.updateUser(userId, platform, { wallet: newWallet });
-        return { amount: Number(amount), newBalance: newWallet };
+        const expiresIn = options.expiresIn !== undefined ? toNumber(options.expiresIn) : this.tradeTtl;
+        if (isNaN(expiresIn) || expiresIn <= 0) throw new ValidationError("expiresIn should be greater than zero");
+
+        const from = { userId: fromId, platform, scope: options.scope || null };
+        const to = { userId: toId, platform, scope: options.scope || null };
+        if (await this.db.resolveKey(fromId, platform, options.scope) === await this.db.resolveKey(toId, platform, options.scope)) {
+            throw new ValidationError(`You can't ${kind === 'loan' ? 'lend to' : 'trade with'} yourself`);
+        }
+        const currency = this.currency(terms.offer.currency);
+
+        return this.output(await this.db.transaction([[fromId, platform, options.scope]], async (tx) => {
+            const user = await tx.getUser(fromId, platform, options.scope);
+            const missing = shortfall(user, terms.offer, currency);
+            if (missing) {
+                if (missing.reason === 'insufficient_funds' && this.isStrict(options)) throw new InsufficientFundsError(this.output(withoutKey(missing, 'reason')));
+                return { success: false, ...missing };
+            }
+
+            const now = Date.now();
+            const trade = { id: randomUUID(), kind, from, to, ...terms, status: 'pending', createdAt: now, expiresAt: now + expiresIn };
+            const updated = await tx.updateUser(user, {
+                ...applyTerms(user, terms.offer, currency, -1),
+                escrow: { ...user.escrow, [trade.id]: trade.expiresAt }
+            });
+            await tx.updateTrade(trade.id, trade);
+            await tx.record({ ...ledgerEntry('escrow', terms.offer.amount, user, updated, options), currency: currency.id, trade: trade.id, counterparty: toId });
+
+            return { success: true, trade };
+        }));
     }
 
-    async deduct(userId, platform, amount) {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        if (!amount && amount !== 0) throw new TypeError("Please Provide an Amount");
-        if (isNaN(amount)) throw new TypeError("The amount should be a number");
-        if (amount < 0) throw new TypeError("Amount can't be less than zero");
+    async acceptTrade(userId, platform, tradeId, options = {}) {
+        const call = this.intercept('acceptTrade', { userId, platform, tradeId, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, tradeId, options } = call);
 
-        const user = await this.db.getUser(userId, platform);
-        const deductAmount = Math.min(Number(amount), user.wallet);
-        const newWallet = user.wallet - deductAmount;
-        
-        await this.db.updateUser(userId, platform, { wallet: newWallet });
-        return { amount: deductAmount, newBalance: newWallet };
+        return this.answerTrade(userId, platform, tradeId, 'to', options, async (tx, trade, offerer) => {
+            const { from, to } = trade;
+            const receiver = await tx.getUser(to.userId, to.platform, to.scope);
+            const offerCurrency = this.currency(trade.offer.currency);
+            const escrow = withoutKey(offerer.escrow, trade.id);
+
+            if (trade.kind === 'loan') {
+                const now = Date.now();
+                const loan = {
+                    id: trade.id,
+                    lender: from,
+                    borrower: to,
+                    currency: offerCurrency.id,
+                    principal: trade.offer.amount,
+                    interest: trade.loan.interest,
+                    amountDue: trade.loan.amountDue,
+                    repaid: 0n,
+                    status: 'active',
+                    createdAt: now,
+                    dueAt: now + trade.loan.duration
+                };
+                const borrowed = await tx.updateUser(receiver, {
+                    ...applyTerms(receiver, trade.offer, offerCurrency, 1),
+                    debts: { ...receiver.debts, [loan.id]: { lender: from, dueAt: loan.dueAt } }
+                });
+                await tx.updateUser(offerer, { escrow });
+                await tx.updateLoan(loan.id, loan);
+                await tx.updateTrade(trade.id, { status: 'accepted', settledAt: now });
+                await tx.record({ ...ledgerEntry('loan', loan.principal, receiver, borrowed, options), currency: loan.currency, loan: loan.id, counterparty: from.userId });
+
+                return { success: true, kind: 'loan', tradeId: trade.id, loan };
+            }
+
+            const requestCurrency = this.currency(trade.request.currency);
+            const missing = shortfall(receiver, trade.request, requestCurrency);
+            if (missing) {
+                if (missing.reason === 'insufficient_funds' && this.isStrict(options)) throw new InsufficientFundsError(this.output(withoutKey(missing, 'reason')));
+                return { success: false, ...missing };
+            }
+
+            const paid = await tx.updateUser(receiver, applyTerms(receiver, trade.request, requestCurrency, -1));
+            const received = await tx.updateUser(paid, applyTerms(paid, trade.offer, offerCurrency, 1));
+            const settled = await tx.updateUser(offerer, { ...applyTerms(offerer, trade.request, requestCurrency, 1), escrow });
+            await tx.updateTrade(trade.id, { status: 'accepted', settledAt: Date.now() });
+            await tx.record({ ...ledgerEntry('trade', trade.request.amount, offerer, settled, options), currency: requestCurrency.id, trade: trade.id, counterparty: to.userId });
+            await tx.record({ ...ledgerEntry('trade', trade.offer.amount, receiver, received, options), currency: offerCurrency.id, trade: trade.id, counterparty: from.userId });
+
+            return { success: true, kind: 'trade', tradeId: trade.id, received: trade.offer, gave: trade.request };
+        });
     }
 
-    async setBankCapacity(userId, platform, capacity) {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        if (!capacity && capacity !== 0) throw new TypeError("Please Provide a Capacity");
-        if (isNaN(capacity)) throw new TypeError("The capacity should be a number");
-        if (capacity < 0) throw new TypeError("Capacity can't be less than zero");
+    // Turns the offer down and returns the escrow to the offering user
+    async declineTrade(userId, platform, tradeId, options = {}) {
+        const call = this.intercept('declineTrade', { userId, platform, tradeId, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, tradeId, options } = call);
 
-        await this.db.updateUser(userId, platform, { bankCapacity: Number(capacity) });
-        return { capacity: Number(capacity) };
+        return this.answerTrade(userId, platform, tradeId, 'to', options, async (tx, trade, offerer) => {
+            await this.closeTrade(tx, offerer, trade, 'declined', options);
+            return { success: true, tradeId: trade.id, status: 'declined' };
+        });
     }
 
-    async increaseBankCapacity(userId, platform, amount) {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        if (!amount && amount !== 0) throw new TypeError("Please Provide an Amount");
-        if (isNaN(amount)) throw new TypeError("The amount should be a number");
-        if (amount < 0) throw new TypeError("Amount can't be less than zero");
+    // Withdraws an offer before it has been answered
+    async cancelTrade(userId, platform, tradeId, options = {}) {
+        const call = this.intercept('cancelTrade', { userId, platform, tradeId, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, tradeId, options } = call);
 
-        const user = await this.db.getUser(userId, platform);
-        const newCapacity = user.bankCapacity + Number(amount);
-        
-        await this.db.updateUser(userId, platform, { bankCapacity: newCapacity });
-        return { amount: Number(amount), newCapacity };
+        return this.answerTrade(userId, platform, tradeId, 'from', options, async (tx, trade, offerer) => {
+            await this.closeTrade(tx, offerer, trade, 'cancelled', options);
+            return { success: true, tradeId: trade.id, status: 'cancelled' };
+        });
     }
 
-    async create(userId, platform) {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        
-        const user = await this.db.getUser(userId, platform);
-        return { created: !user.wallet && !user.bank, user };
+    // Runs fn(tx, trade, offerer) on a pending trade once the caller has been
+    // checked to be its `side`. Loading the offerer expires the trade if its
+    // time is up.
+    async answerTrade(userId, platform, tradeId, side, options, fn) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        if (!tradeId) throw new ValidationError("Please Provide a Trade ID");
+
+        const pending = await this.db.getTrade(tradeId);
+        if (!pending) return { success: false, reason: 'trade_not_found' };
+
+        const { from, to } = pending;
+        const party = pending[side];
+        if (await this.db.resolveKey(userId, platform, options.scope) !== await this.db.resolveKey(party.userId, party.platform, party.scope)) {
+            return { success: false, reason: 'not_your_trade' };
+        }
+
+        return this.output(await this.db.transaction([[from.userId, from.platform, from.scope], [to.userId, to.platform, to.scope]], async (tx) => {
+            const offerer = await tx.getUser(from.userId, from.platform, from.scope);
+            const trade = await tx.getTrade(tradeId);
+            if (!trade) return { success: false, reason: 'trade_not_found' };
+            if (trade.status !== 'pending') {
+                return { success: false, reason: trade.status === 'expired' ? 'expired' : 'not_pending', status: trade.status };
+            }
+            return fn(tx, trade, offerer);
+        }));
     }
 
-    async delete(userId, platform) {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        
-        await this.db.init();
-        const key = `${platform}:${userId}`;
-        const exists = !!this.db.data[key];
-        
-        if (exists) {
-            delete this.db.data[key];
-            await this.db.save();
+    async closeTrade(tx, user, trade, status, options = {}) {
+        const currency = this.currency(trade.offer.currency);
+        const updated = await tx.updateUser(user, {
+            ...applyTerms(user, trade.offer, currency, 1),
+            escrow: withoutKey(user.escrow, trade.id)
+        });
+        await tx.updateTrade(trade.id, { status, settledAt: Date.now() });
+        await tx.record({ ...ledgerEntry('escrow_refund', trade.offer.amount, user, updated, options), currency: currency.id, trade: trade.id, status });
+        return updated;
+    }
+
+    // Load hook: offers past their expiry go back to the user who made them
+    async expireOffers(tx, user) {
+        const now = Date.now();
+        let current = user;
+
+        for (const [tradeId, expiresAt] of Object.entries(user.escrow || {})) {
+            if (expiresAt > now) continue;
+
+            const trade = await tx.getTrade(tradeId);
+            if (trade && trade.status === 'pending') current = await this.closeTrade(tx, current, trade, 'expired');
+            else current = await tx.updateUser(current, { escrow: withoutKey(current.escrow, tradeId) });
         }
-        
-        return { deleted: exists };
+        return current;
+    }
+
+    // Expires every pending offer whose time is up. Offers also expire when
+    // the user who made them next uses the economy, so this is only needed to
+    // return escrow to users who don't.
+    async expireTrades() {
+        const now = Date.now();
+        const due = (await this.db.getTrades()).filter(trade => trade.status === 'pending' && trade.expiresAt <= now);
+        let expired = 0;
+
+        for (const { id, from } of due) {
+            const closed = await this.db.transaction([[from.userId, from.platform, from.scope]], async (tx) => {
+                const trade = await tx.getTrade(id);
+                if (trade.status !== 'pending') return false;
+
+                await tx.getUser(from.userId, from.platform, from.scope);
+                return (await tx.getTrade(id)).status === 'expired';
+            });
+            if (closed) expired++;
+        }
+        return { expired };
     }
 
-    async leaderboard(count = 10, platform = null, sortBy = 'total') {
-        if (isNaN(count)) throw new TypeError("The count must be a number");
-        if (count < 1) throw new TypeError("Count must be at least 1");
+    // Pending offers made by or to a user, newest first
+    async trades(userId, platform, options = {}) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
 
-        const allUsers = await this.db.getAllUsers(platform);
-        
-        const sortedUsers = allUsers.map(user => ({
-            ...user,
-            total: user.wallet + user.bank
-        })).sort((a, b) => {
-            if (sortBy === 'wallet') return b.wallet - a.wallet;
-            if (sortBy === 'bank') return b.bank - a.bank;
-            return b.total - a.total;
+        const key = await this.db.resolveKey(userId, platform, options.scope);
+        const mine = async (account) => key === await this.db.resolveKey(account.userId, account.platform, account.scope);
+        const trades = [];
+        for (const trade of await this.db.getTrades()) {
+            if (trade.status !== 'pending' || trade.expiresAt <= Date.now()) continue;
+            if (await mine(trade.from) || await mine(trade.to)) trades.push(trade);
+        }
+        return this.output(trades.sort((a, b) => b.createdAt - a.createdAt));
+    }
+
+    // Repays a loan early, from the wallet and then the bank. Without an amount
+    // whatever is still owed is paid.
+    async repayLoan(userId, platform, loanId, amount, options = {}) {
+        const call = this.intercept('repayLoan', { userId, platform, loanId, amount, options });
+        if (call.vetoed) return { success: false, reason: call.vetoed };
+        ({ userId, platform, loanId, amount, options } = call);
+
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+        if (!loanId) throw new ValidationError("Please Provide a Loan ID");
+
+        const strict = this.isStrict(options);
+        const parsed = amount !== undefined && amount !== null
+            ? this.parseAmount(amount, { positive: true, shares: true })
+            : { share: [1n, 1n] };
+        const pending = await this.db.getLoan(loanId);
+        if (!pending) return { success: false, reason: 'loan_not_found' };
+
+        const { lender, borrower } = pending;
+        if (await this.db.resolveKey(userId, platform, options.scope) !== await this.db.resolveKey(borrower.userId, borrower.platform, borrower.scope)) {
+            return { success: false, reason: 'not_your_loan' };
+        }
+
+        return this.output(await this.db.transaction([[borrower.userId, borrower.platform, borrower.scope], [lender.userId, lender.platform, lender.scope]], async (tx) => {
+            const user = await tx.getUser(borrower.userId, borrower.platform, borrower.scope);
+            const loan = await tx.getLoan(loanId);
+            if (loan.status !== 'active') return { success: false, reason: 'loan_repaid' };
+
+            const outstanding = loan.amountDue - loan.repaid;
+            const requested = minOf(this.resolveAmount(parsed, outstanding, this.currency()), outstanding);
+            const available = user.wallet + user.bank;
+            if (requested <= 0n || available < requested) {
+                if (strict) throw new InsufficientFundsError(this.output({ required: requested, available }));
+                return { success: false, reason: 'insufficient_funds', required: requested, available };
+            }
+
+            const { paid, remaining } = await this.collectLoan(tx, user, loan, requested, options);
+            return { success: true, loanId, paid, remaining, repaid: remaining === 0n };
+        }));
+    }
+
+    // Moves up to `amount` of what the borrower owes to the lender, from the
+    // borrower's wallet first and then their bank
+    async collectLoan(tx, borrower, loan, amount, options = {}) {
+        const fromWallet = minOf(amount, maxOf(borrower.wallet, 0n));
+        const fromBank = minOf(amount - fromWallet, maxOf(borrower.bank, 0n));
+        const paid = fromWallet + fromBank;
+        const remaining = loan.amountDue - loan.repaid - paid;
+        if (paid <= 0n) return { borrower, paid, remaining };
+
+        const updated = await tx.updateUser(borrower, {
+            wallet: borrower.wallet - fromWallet,
+            bank: borrower.bank - fromBank,
+            ...(remaining === 0n ? { debts: withoutKey(borrower.debts, loan.id) } : {})
         });
+        const lender = await tx.getUser(loan.lender.userId, loan.lender.platform, loan.lender.scope);
+        const credited = await tx.updateUser(lender, { wallet: lender.wallet + paid });
+        await tx.updateLoan(loan.id, remaining === 0n ? { repaid: loan.amountDue, status: 'repaid', repaidAt: Date.now() } : { repaid: loan.repaid + paid });
+        await tx.record({ ...ledgerEntry('loan_repayment', paid, borrower, updated, options), loan: loan.id, counterparty: loan.lender.userId, remaining });
+        await tx.record({ ...ledgerEntry('loan_collected', paid, lender, credited, options), loan: loan.id, counterparty: loan.borrower.userId, remaining });
 
-        return sortedUsers.slice(0, count);
+        return { borrower: updated, paid, remaining };
     }
 
-    async daily(userId, platform, amount = 100) {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        if (!amount && amount !== 0) throw new TypeError("Please Provide an Amount");
-        if (isNaN(amount)) throw new TypeError("The amount should be a number");
-        if (amount < 0) throw new TypeError("Amount can't be less than zero");
+    // Lock hook: a borrower with a loan that has fallen due is locked together
+    // with the lender, so loading them can pay the lender
+    async dueLenders(keys, store) {
+        const now = Date.now();
+        const lenders = [];
+        for (const key of keys) {
+            const user = await store.get('users', key);
+            for (const debt of Object.values((user && user.debts) || {})) {
+                if (debt.dueAt <= now) lenders.push([debt.lender.userId, debt.lender.platform, debt.lender.scope]);
+            }
+        }
+        return lenders;
+    }
 
-        const user = await this.db.getUser(userId, platform);
+    // Load hook: collects loans that are due, as far as the borrower's money
+    // goes. Whatever is left is collected the next time.
+    async collectLoans(tx, user) {
         const now = Date.now();
-        const timeSinceLastDaily = now - user.lastDaily;
+        let current = user;
 
-        if (timeSinceLastDaily < this.dailyCooldown) {
-            const remainingTime = this.dailyCooldown - timeSinceLastDaily;
-            return {
-                success: false,
-                cooldown: true,
-                remainingTime,
-                readableTime: this.formatTime(remainingTime)
-            };
+        for (const [loanId, debt] of Object.entries(user.debts || {})) {
+            if (debt.dueAt > now || !(await tx.isLocked(debt.lender.userId, debt.lender.platform, debt.lender.scope))) continue;
+
+            const loan = await tx.getLoan(loanId);
+            if (!loan || loan.status !== 'active') {
+                current = await tx.updateUser(current, { debts: withoutKey(current.debts, loanId) });
+                continue;
+            }
+            ({ borrower: current } = await this.collectLoan(tx, current, loan, loan.amountDue - loan.repaid));
         }
+        return current;
+    }
 
-        const newWallet = user.wallet + Number(amount);
-        await this.db.updateUser(userId, platform, {
-            wallet: newWallet,
-            lastDaily: now
-        });
+    // Active loans a user has given or taken, with what is still owed
+    async loans(userId, platform, options = {}) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
 
-        return {
-            success: true,
-            amount: Number(amount),
-            newBalance: newWallet
-        };
+        const key = await this.db.resolveKey(userId, platform, options.scope);
+        const mine = async (account) => key === await this.db.resolveKey(account.userId, account.platform, account.scope);
+        const loans = [];
+        for (const loan of await this.db.getLoans()) {
+            if (loan.status !== 'active' && !options.all) continue;
+
+            const role = await mine(loan.lender) ? 'lender' : await mine(loan.borrower) ? 'borrower' : null;
+            if (role) loans.push({ ...loan, role, outstanding: loan.amountDue - loan.repaid, overdue: loan.status === 'active' && loan.dueAt <= Date.now() });
+        }
+        return this.output(loans.sort((a, b) => a.dueAt - b.dueAt));
     }
 
-    async deposit(userId, platform, amount) {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        if (!amount && amount !== 0) throw new TypeError("Please Provide an Amount");
-        if (isNaN(amount) && amount !== 'all') throw new TypeError("The amount should be a number or 'all'");
-        if (typeof amount === 'number' && amount < 0) throw new TypeError("Amount can't be less than zero");
+    async schemaVersion() {
+        await this.db.init();
+        return this.db.schemaVersion();
+    }
 
-        const user = await this.db.getUser(userId, platform);
-        const availableSpace = user.bankCapacity - user.bank;
-        
-        let depositAmount;
-        if (amount === 'all') {
-            depositAmount = Math.min(user.wallet, availableSpace);
-        } else {
-            depositAmount = Math.min(Number(amount), user.wallet, availableSpace);
+    // 'json' dumps every collection in a form import() restores as is. 'csv'
+    // writes one table, of options.collection 'users' (default) or 'transactions'.
+    async export(options = {}) {
+        const format = options.format || 'json';
+
+        if (format === 'json') {
+            const collections = {};
+            for (const collection of DUMP_COLLECTIONS) {
+                collections[collection] = Object.fromEntries(await this.db.scanCollection(collection));
+            }
+            return JSON.stringify({ format: 'flare-economy', schemaVersion: await this.schemaVersion(), exportedAt: Date.now(), collections }, null, 2);
         }
+        if (format !== 'csv') throw new ValidationError("The format should be 'json' or 'csv'");
+
+        const collection = options.collection || 'users';
+        if (!CSV_COLUMNS[collection]) throw new ValidationError("Only 'users' and 'transactions' can be exported as CSV");
+
+        const records = (await this.db.scanCollection(collection)).map(([, record]) => record);
+        if (collection !== 'users') return toCsv(records, CSV_COLUMNS[collection]);
+
+        // Every other currency gets a currencies.<id> column
+        const currencies = [...this.currencies.values()].filter(currency => !currency.default).map(currency => `currencies.${currency.id}`);
+        const rows = records.map(user => ({
+            ...user,
+            ...Object.fromEntries(Object.entries(user.currencies || {}).map(([id, amount]) => [`currencies.${id}`, amount]))
+        }));
+        return toCsv(rows, [...CSV_COLUMNS.users, ...currencies]);
+    }
 
-        if (depositAmount <= 0) {
-            return { success: false, reason: 'no_funds_or_space' };
+    // Restores an export(), or with options.from a dump of another library
+    // ('discord-economy' or 'mongo-economy'). Imported records are merged into
+    // the stored ones unless options.replace empties the collections first.
+    async import(data, options = {}) {
+        const from = options.from || 'flare-economy';
+        const format = options.format || 'json';
+        if (format !== 'json' && format !== 'csv') throw new ValidationError("The format should be 'json' or 'csv'");
+
+        let collections;
+        let schemaVersion = SCHEMA_VERSION;
+        let skipped = 0;
+        const usersFrom = (records) => {
+            const users = records.map(record => this.importedUser(record, options)).filter(Boolean);
+            skipped += records.length - users.length;
+            return users;
+        };
+
+        if (from !== 'flare-economy') {
+            if (!IMPORTERS[from]) throw new ValidationError(`Unknown import source '${from}'`);
+            collections = { users: usersFrom(IMPORTERS[from](data)) };
+        } else if (format === 'csv') {
+            const rows = parseCsv(String(data)).map(row => {
+                const record = { currencies: {} };
+                for (const [column, value] of Object.entries(row)) {
+                    if (column.startsWith('currencies.')) record.currencies[column.slice('currencies.'.length)] = value;
+                    else record[column] = value;
+                }
+                return record;
+            });
+            collections = { users: usersFrom(rows) };
+        } else {
+            const dump = readJson(data);
+            if (!dump || dump.format !== 'flare-economy' || !dump.collections) {
+                throw new ValidationError("The data wasn't written by export(); pass options.from to import another library's dump");
+            }
+            if (dump.schemaVersion > SCHEMA_VERSION) {
+                throw new FlareEconomyError(`The dump uses schema version ${dump.schemaVersion}, this version of flare-economy supports up to ${SCHEMA_VERSION}`, 'SCHEMA_TOO_NEW', { version: dump.schemaVersion, supported: SCHEMA_VERSION });
+            }
+
+            schemaVersion = dump.schemaVersion || 0;
+            collections = Object.fromEntries(DUMP_COLLECTIONS
+                .filter(collection => dump.collections[collection])
+                .map(collection => [collection, Object.entries(dump.collections[collection])]));
         }
 
-        const newWallet = user.wallet - depositAmount;
-        const newBank = user.bank + depositAmount;
-        
-        await this.db.updateUser(userId, platform, {
-            wallet: newWallet,
-            bank: newBank
-        });
+        await this.db.importRecords(collections, { replace: !!options.replace, schemaVersion });
+        this.leaderboards.clear();
 
         return {
-            success: true,
-            amount: depositAmount,
-            newWallet,
-            newBank
+            imported: Object.fromEntries(Object.entries(collections).map(([collection, records]) => [collection, records.length])),
+            skipped
         };
     }
 
-    async withdraw(userId, platform, amount) {
-        if (!userId) throw new TypeError("Please Provide a User ID");
-        if (!amount && amount !== 0) throw new TypeError("Please Provide an Amount");
-        if (isNaN(amount) && amount !== 'all') throw new TypeError("The amount should be a number or 'all'");
-        if (typeof amount === 'number' && amount < 0) throw new TypeError("Amount can't be less than zero");
+    // A [key, record] pair for a user of a CSV or another library's dump, or
+    // null when it has no id or an amount isn't valid. Guild ids become scopes
+    // unless options.scope sets one for everybody (null for none).
+    importedUser(record, options) {
+        if (record.userId === undefined || record.userId === null || record.userId === '') return null;
 
-        const user = await this.db.getUser(userId, platform);
-        
-        let withdrawAmount;
-        if (amount === 'all') {
-            withdrawAmount = user.bank;
-        } else {
-            withdrawAmount = Math.min(Number(amount), user.bank);
-        }
+        const userId = String(record.userId);
+        const platform = record.platform || options.platform || 'discord';
+        const scope = options.scope !== undefined ? options.scope : record.scope;
+        const user = { userId, platform };
+        if (scope) user.scope = String(scope);
 
-        if (withdrawAmount <= 0) {
-            return { success: false, reason: 'no_funds' };
+        for (const field of USER_AMOUNTS) {
+            if (record[field] === undefined || record[field] === null) continue;
+
+            user[field] = this.configuredAmount(record[field]);
+            if (user[field] === null) return null;
+        }
+        if (record.currencies && Object.keys(record.currencies).length) {
+            user.currencies = {};
+            for (const [id, value] of Object.entries(record.currencies)) {
+                const currency = this.currencies.get(id);
+                user.currencies[id] = currency ? this.configuredAmount(value, currency) : null;
+                if (user.currencies[id] === null) return null;
+            }
         }
+        if (record.cooldowns && Object.keys(record.cooldowns).length) user.cooldowns = record.cooldowns;
 
-        const newWallet = user.wallet + withdrawAmount;
-        const newBank = user.bank - withdrawAmount;
-        
-        await this.db.updateUser(userId, platform, {
-            wallet: newWallet,
-            bank: newBank
+        return [this.db.userKey(userId, platform, user.scope), this.db.encode(user)];
+    }
+
+    async inventory(userId, platform, options = {}) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        const user = await this.db.getUser(userId, platform, options.scope);
+        const items = await this.db.getAllItems();
+
+        return Object.entries(user.inventory || {}).map(([itemId, quantity]) => {
+            const item = items.find(candidate => candidate.id === itemId);
+            return { id: itemId, name: item ? item.name : itemId, kind: item ? item.kind : null, quantity };
         });
+    }
 
-        return {
-            success: true,
-            amount: withdrawAmount,
-            newWallet,
-            newBank
-        };
+    async history(userId, platform, options = {}) {
+        if (!userId) throw new ValidationError("Please Provide a User ID", 'MISSING_USER_ID');
+
+        return this.auditLog({ ...options, userId, platform, scope: options.scope || null });
     }
 
-    formatTime(ms) {
-        const seconds = Math.floor(ms / 1000);
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-        const secs = seconds % 60;
+    async auditLog(options = {}) {
+        const limit = options.limit === undefined ? 50 : options.limit;
+        if (isNaN(toNumber(limit))) throw new ValidationError("The limit must be a number");
+        if (limit < 1) throw new ValidationError("Limit must be at least 1");
 
-        const parts = [];
-        if (hours > 0) parts.push(`${hours} hour(s)`);
-        if (minutes > 0) parts.push(`${minutes} minute(s)`);
-        if (secs > 0 || parts.length === 0) parts.push(`${secs} second(s)`);
+        const before = options.before instanceof Date ? options.before.getTime() : options.before;
+        const types = options.type ? [].concat(options.type) : null;
+        // One identity's entries are those of the account it is linked to
+        let filter = options;
+        let account = null;
+        if (options.userId && options.platform && options.scope !== undefined) {
+            await this.db.init();
+            account = filter = await this.db.resolveAccount(options.userId, options.platform, options.scope);
+        }
+        const transactions = await this.db.getTransactions(account);
+
+        return this.output(transactions
+            .filter(entry => {
+                if (filter.userId && entry.userId !== filter.userId) return false;
+                if (filter.platform && entry.platform !== filter.platform) return false;
+                if (filter.scope !== undefined && (entry.scope || null) !== (filter.scope || null)) return false;
+                if (types && !types.includes(entry.type)) return false;
+                if (before && entry.timestamp >= before) return false;
+                return true;
+            })
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, toNumber(limit)));
+    }
+
+    // The instance's formatter, or one with options.locale and options.format
+    // applied for a single call
+    formatterFor(options = {}) {
+        const settings = { ...options.format };
+        if (options.locale) settings.locale = options.locale;
+        return Object.keys(settings).length ? this.formatter.with(settings) : this.formatter;
+    }
+
+    // An amount as the economy returns it, in the default currency or
+    // options.currency, as text such as "🪙 1,250" or "1,2 mil moedas"
+    format(amount, options = {}) {
+        const currency = this.currency(options.currency);
+        const parsed = this.amounts.parse(amount, currency.step);
+        if (!parsed || parsed.share) throw new InvalidAmountError(`'${amount}' is not an amount`, { amount });
+
+        return this.formatterFor(options).amount(this.amounts.toString(parsed.units), currency);
+    }
 
-        return parts.join(', ');
+    formatTime(ms, options = {}) {
+        return this.formatterFor(options).duration(ms);
     }
 }
 
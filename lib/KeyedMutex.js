@@ -0,0 +1,34 @@
+// Serializes async work per key. lock() takes several keys at once and always
+// acquires them in sorted order, so two callers locking the same pair of users
+// can never wait on each other.
+export class KeyedMutex {
+    constructor() {
+        this.queues = new Map();
+    }
+
+    acquire(key) {
+        const previous = this.queues.get(key) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        this.queues.set(key, tail);
+
+        return previous.then(() => () => {
+            release();
+            if (this.queues.get(key) === tail) this.queues.delete(key);
+        });
+    }
+
+    async lock(keys, fn) {
+        const releases = [];
+
+        try {
+            for (const key of [...new Set(keys)].sort()) {
+                releases.push(await this.acquire(key));
+            }
+            return await fn();
+        } finally {
+            releases.reverse().forEach(release => release());
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,95 @@
+const { descending } = require('./amounts.cjs');
+
+// Users kept sorted by one value, largest first and by key on ties, so pages
+// and ranks are read without sorting. Changes are applied one user at a time
+// with a binary search instead of re-sorting everything.
+class LeaderboardIndex {
+    constructor(valueOf, accepts = () => true) {
+        this.valueOf = valueOf;
+        this.accepts = accepts;
+        this.entries = [];
+        this.byKey = new Map();
+        this.pending = null;
+        this.ready = null;
+    }
+
+    static compare(a, b) {
+        return descending(a.value, b.value) || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+    }
+
+    // Loads [key, user] pairs from loader() and sorts them once. Changes
+    // arriving while it runs are replayed afterwards, since the scan may or may
+    // not have seen them.
+    build(loader) {
+        if (!this.ready) {
+            this.pending = [];
+            this.ready = loader().then(users => {
+                this.entries = users.map(([key, user]) => ({ key, value: this.valueOf(user), user })).sort(LeaderboardIndex.compare);
+                this.byKey = new Map(this.entries.map(entry => [entry.key, entry]));
+                const pending = this.pending;
+                this.pending = null;
+                for (const [key, user] of pending) this.update(key, user);
+            });
+        }
+        return this.ready;
+    }
+
+    // user is the committed record, or null once it has been deleted
+    update(key, user) {
+        if (this.pending) {
+            this.pending.push([key, user]);
+        } else if (user && this.accepts(user)) {
+            this.set(key, user);
+        } else {
+            this.delete(key);
+        }
+    }
+
+    set(key, user) {
+        this.delete(key);
+
+        const entry = { key, value: this.valueOf(user), user };
+        this.entries.splice(this.locate(entry), 0, entry);
+        this.byKey.set(key, entry);
+    }
+
+    delete(key) {
+        const entry = this.byKey.get(key);
+        if (!entry) return;
+
+        this.entries.splice(this.locate(entry), 1);
+        this.byKey.delete(key);
+    }
+
+    // The first position whose entry doesn't sort before the given one
+    locate(entry) {
+        let low = 0;
+        let high = this.entries.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (LeaderboardIndex.compare(this.entries[middle], entry) < 0) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    // Zero-based position of a user, or -1 when the index doesn't hold it
+    position(key) {
+        const entry = this.byKey.get(key);
+        return entry ? this.locate(entry) : -1;
+    }
+
+    get(key) {
+        return this.byKey.get(key) || null;
+    }
+
+    slice(offset, count) {
+        return this.entries.slice(offset, offset + count);
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+}
+
+module.exports = { LeaderboardIndex };
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Storage adapters keep records in named collections ("users", "transactions", ...)
+// and expose the same small async contract:
+//
+//   init()                         prepare the underlying storage
+//   get(collection, key)           the stored record, or null
+//   update(collection, key, data)  shallow-merge data into the record, creating it if needed
+//   delete(collection, key)        remove the record, resolves to whether it existed
+//   scan(collection, { prefix })   [key, record] pairs in insertion order
+//   transaction(fn)                run fn(tx) and apply every write it made at once
+//   flush()                        write out anything the adapter is holding back
+//   close()                        flush, then release the underlying storage
+//
+// Subclasses implement the first five plus commit(operations); transaction() is
+// built on top of them here.
+export class BaseAdapter {
+    async init() {}
+
+    async get(collection, key) {
+        throw new Error(`${this.constructor.name} does not implement get()`);
+    }
+
+    async update(collection, key, data) {
+        throw new Error(`${this.constructor.name} does not implement update()`);
+    }
+
+    async delete(collection, key) {
+        throw new Error(`${this.constructor.name} does not implement delete()`);
+    }
+
+    async scan(collection, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement scan()`);
+    }
+
+    async commit(operations) {
+        throw new Error(`${this.constructor.name} does not implement commit()`);
+    }
+
+    async flush() {}
+
+    async close() {}
+
+    async transaction(fn) {
+        const writes = new Map();
+        const id = (collection, key) => `${collection}\u0000${key}`;
+
+        const tx = {
+            get: async (collection, key) => {
+                const write = writes.get(id(collection, key));
+                if (write) return write.value && structuredClone(write.value);
+                return this.get(collection, key);
+            },
+            update: async (collection, key, data) => {
+                const value = { ...(await tx.get(collection, key)), ...data };
+                writes.set(id(collection, key), { collection, key, value });
+                return structuredClone(value);
+            },
+            delete: async (collection, key) => {
+                const existed = !!(await tx.get(collection, key));
+                writes.set(id(collection, key), { collection, key, value: null });
+                return existed;
+            },
+            scan: async (collection, options = {}) => {
+                const prefix = options.prefix || '';
+                const entries = new Map(await this.scan(collection, options));
+
+                for (const write of writes.values()) {
+                    if (write.collection !== collection || !write.key.startsWith(prefix)) continue;
+                    if (write.value) entries.set(write.key, structuredClone(write.value));
+                    else entries.delete(write.key);
+                }
+
+                return [...entries];
+            }
+        };
+
+        const result = await fn(tx);
+        if (writes.size) await this.commit([...writes.values()]);
+        return result;
+    }
+}
\ No newline at end of file
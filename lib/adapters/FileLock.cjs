@@ -0,0 +1,72 @@
+const { openSync, writeSync, closeSync, readFileSync, unlinkSync } = require('fs');
+const { FlareEconomyError } = require('../errors.cjs');
+
+// A <path>.lock file holding the id of the process that has the database open.
+// Another process, such as the command-line tool next to a running bot, is
+// refused instead of overwriting its changes. The lock of a process that has
+// ended without closing the database is taken over.
+class FileLock {
+    constructor(path) {
+        this.target = path;
+        this.path = `${path}.lock`;
+        this.held = false;
+    }
+
+    // The id of another live process holding the lock, or null
+    holder() {
+        let pid;
+        try {
+            pid = Number(readFileSync(this.path, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        if (!Number.isInteger(pid) || pid <= 0 || pid === process.pid) return null;
+
+        try {
+            process.kill(pid, 0);
+            return pid;
+        } catch (error) {
+            return error.code === 'EPERM' ? pid : null;
+        }
+    }
+
+    acquire() {
+        if (this.held) return;
+
+        for (;;) {
+            try {
+                const fd = openSync(this.path, 'wx');
+                writeSync(fd, String(process.pid));
+                closeSync(fd);
+                this.held = true;
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const pid = this.holder();
+            if (pid) {
+                throw new FlareEconomyError(`${this.target} is in use by process ${pid}. Stop it first, or delete ${this.path} if that process isn't using the database`, 'DATABASE_LOCKED', { pid, lockPath: this.path });
+            }
+            // Left behind by this process or one that is gone
+            this.remove();
+        }
+    }
+
+    release() {
+        if (!this.held) return;
+        this.held = false;
+        this.remove();
+    }
+
+    remove() {
+        try {
+            unlinkSync(this.path);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = { FileLock };
\ No newline at end of file
@@ -0,0 +1,293 @@
+const { readFile, open, rename, appendFile } = require('fs').promises;
+const { openSync, writeSync, fsyncSync, closeSync, renameSync, appendFileSync } = require('fs');
+const { MemoryAdapter } = require('./MemoryAdapter.cjs');
+const { FileLock } = require('./FileLock.cjs');
+const { ValidationError } = require('../errors.cjs');
+
+const PERSISTENCE_MODES = ['immediate', 'interval', 'debounced'];
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
+// Collections that only grow, such as the ledger, are kept out of the database
+// file, which is rewritten on every change. Their changes are appended to
+// <path>.ledger as [collection, key, record] lines, null for deletes, and
+// replayed in order on load.
+const LEDGER_COLLECTIONS = ['transactions'];
+
+class JsonFileAdapter extends MemoryAdapter {
+    constructor(path = 'economy.db', persistence = {}) {
+        super();
+        this.path = path;
+        this.backupPath = `${path}.bak`;
+        this.tempPath = `${path}.tmp`;
+        this.ledgerPath = `${path}.ledger`;
+        this.lock = new FileLock(path);
+        this.appended = [];
+        this.rewriteLedger = false;
+        this.mode = persistence.mode || 'immediate';
+        this.flushMs = persistence.flushMs || 1000;
+        this.writeQueue = Promise.resolve();
+        this.dirty = false;
+        this.timer = null;
+
+        if (!PERSISTENCE_MODES.includes(this.mode)) {
+            throw new ValidationError("The persistence mode should be 'immediate', 'interval' or 'debounced'");
+        }
+        if (isNaN(this.flushMs) || this.flushMs < 1) throw new ValidationError("flushMs must be a positive number");
+    }
+
+    async load(path) {
+        const fileContent = await readFile(path, 'utf8');
+        if (!fileContent.trim()) return null;
+
+        const parsed = JSON.parse(fileContent);
+
+        // Files written before collections existed only hold the users
+        if (parsed.users && typeof parsed.users === 'object') return parsed;
+        return { users: parsed };
+    }
+
+    // Everything is held in memory and written back on save, so only one
+    // process may have the file open
+    async init() {
+        this.lock.acquire();
+        let collections;
+
+        try {
+            collections = await this.load(this.path);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                // Keep the unreadable file around for inspection and fall back to
+                // the copy that was replaced by the last successful write
+                const corruptPath = `${this.path}.corrupt-${Date.now()}`;
+                collections = await this.load(this.backupPath).catch(() => null);
+                if (!collections) {
+                    throw new Error(`${this.path} is corrupted and no usable backup was found at ${this.backupPath}: ${error.message}`);
+                }
+                await rename(this.path, corruptPath);
+                this.dirty = true;
+            }
+        }
+
+        if (!collections) {
+            collections = await this.load(this.backupPath).catch((error) => {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            });
+            this.dirty = true;
+        }
+
+        this.collections = collections || {};
+
+        // Files written before the ledger had its own file hold it inline
+        if (LEDGER_COLLECTIONS.some(collection => this.collections[collection])) {
+            this.rewriteLedger = true;
+            this.dirty = true;
+        }
+        await this.loadLedger();
+
+        this.attach();
+        if (this.dirty) await this.persist();
+    }
+
+    async loadLedger() {
+        let content;
+        try {
+            content = await readFile(this.ledgerPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const lines = content.split('\n').filter(line => line.trim());
+        for (const line of lines) {
+            let collection, key, record;
+            try {
+                [collection, key, record] = JSON.parse(line);
+            } catch (error) {
+                // Only the last line can be torn, by a crash while appending
+                continue;
+            }
+            if (record) this.collection(collection)[key] = record;
+            else delete this.collection(collection)[key];
+        }
+
+        // Rewritten once most lines are overwritten or deleted records
+        const records = LEDGER_COLLECTIONS.reduce((count, collection) => count + Object.keys(this.collections[collection] || {}).length, 0);
+        if (lines.length > 2 * records) this.rewriteLedger = true;
+    }
+
+    // The database file without the ledger collections
+    databaseContent() {
+        const collections = Object.fromEntries(Object.entries(this.collections).filter(([name]) => !LEDGER_COLLECTIONS.includes(name)));
+        return JSON.stringify(collections, null, 2);
+    }
+
+    ledgerContent() {
+        const lines = LEDGER_COLLECTIONS.flatMap(collection => Object.entries(this.collections[collection] || {})
+            .map(([key, record]) => JSON.stringify([collection, key, record])));
+        return lines.map(line => `${line}\n`).join('');
+    }
+
+    takeAppended() {
+        const content = this.appended.map(line => `${line}\n`).join('');
+        this.appended = [];
+        return content;
+    }
+
+    // Batched modes keep changes in memory for up to flushMs, so they are written
+    // out synchronously when the process exits or is interrupted.
+    attach() {
+        if (this.mode === 'immediate' || this.exitHandler) return;
+
+        this.exitHandler = () => this.flushSync();
+        this.signalHandler = (signal) => {
+            this.flushSync();
+            this.detach();
+            if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+        };
+
+        process.on('exit', this.exitHandler);
+        EXIT_SIGNALS.forEach(signal => process.on(signal, this.signalHandler));
+
+        if (this.mode === 'interval') {
+            this.timer = setInterval(() => this.flush().catch(() => {}), this.flushMs);
+            this.timer.unref();
+        }
+    }
+
+    detach() {
+        clearInterval(this.timer);
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.exitHandler) return;
+
+        process.removeListener('exit', this.exitHandler);
+        EXIT_SIGNALS.forEach(signal => process.removeListener(signal, this.signalHandler));
+        this.exitHandler = null;
+        this.signalHandler = null;
+    }
+
+    persist(writes) {
+        if (!writes) this.dirty = true;
+        for (const { collection, key } of writes || []) {
+            if (!LEDGER_COLLECTIONS.includes(collection)) {
+                this.dirty = true;
+            } else if (!this.rewriteLedger) {
+                this.appended.push(JSON.stringify([collection, key, this.collection(collection)[key] || null]));
+            }
+        }
+        if (this.mode === 'immediate') return this.flush();
+
+        if (this.mode === 'debounced') {
+            clearTimeout(this.timer);
+            this.timer = setTimeout(() => this.flush().catch(() => {}), this.flushMs);
+            this.timer.unref();
+        }
+        return Promise.resolve();
+    }
+
+    flush() {
+        if (this.mode === 'debounced') clearTimeout(this.timer);
+
+        const write = this.writeQueue.then(() => this.pending() && this.write());
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    async close() {
+        await this.flush();
+        this.detach();
+        this.lock.release();
+    }
+
+    pending() {
+        return this.dirty || this.rewriteLedger || this.appended.length > 0;
+    }
+
+    // Writes go to a temporary file that is flushed to disk and then renamed over
+    // the database, so a crash leaves either the old or the new file, never half
+    // of one. The replaced file is kept as the backup. The ledger is written
+    // first, so a saved balance is never missing the entries that explain it.
+    async write() {
+        if (this.rewriteLedger) {
+            this.rewriteLedger = false;
+            this.appended = [];
+            try {
+                await this.replace(this.ledgerPath, this.ledgerContent());
+            } catch (error) {
+                this.rewriteLedger = true;
+                throw error;
+            }
+        } else if (this.appended.length) {
+            const lines = this.appended;
+            const content = this.takeAppended();
+            try {
+                await appendFile(this.ledgerPath, content);
+            } catch (error) {
+                this.appended = [...lines, ...this.appended];
+                throw error;
+            }
+        }
+
+        if (!this.dirty) return;
+        this.dirty = false;
+        try {
+            await this.replace(this.path, this.databaseContent(), this.backupPath);
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+
+    async replace(path, content, backupPath = null) {
+        const handle = await open(this.tempPath, 'w');
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        if (backupPath) {
+            await rename(path, backupPath).catch((error) => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+        await rename(this.tempPath, path);
+    }
+
+    flushSync() {
+        if (this.rewriteLedger) {
+            this.rewriteLedger = false;
+            this.appended = [];
+            this.replaceSync(this.ledgerPath, this.ledgerContent());
+        } else if (this.appended.length) {
+            appendFileSync(this.ledgerPath, this.takeAppended());
+        }
+
+        if (!this.dirty) return;
+        this.dirty = false;
+        this.replaceSync(this.path, this.databaseContent(), this.backupPath);
+    }
+
+    replaceSync(path, content, backupPath = null) {
+        const fd = openSync(this.tempPath, 'w');
+        try {
+            writeSync(fd, content);
+            fsyncSync(fd);
+        } finally {
+            closeSync(fd);
+        }
+
+        if (backupPath) {
+            try {
+                renameSync(path, backupPath);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        renameSync(this.tempPath, path);
+    }
+}
+
+module.exports = { JsonFileAdapter };
\ No newline at end of file
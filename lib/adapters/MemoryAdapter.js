@@ -0,0 +1,53 @@
+import { BaseAdapter } from './BaseAdapter.js';
+
+export class MemoryAdapter extends BaseAdapter {
+    constructor() {
+        super();
+        this.collections = {};
+    }
+
+    collection(name) {
+        if (!this.collections[name]) this.collections[name] = {};
+        return this.collections[name];
+    }
+
+    // Called after every change with the { collection, key } pairs it wrote
+    async persist(writes) {}
+
+    async get(collection, key) {
+        const record = this.collection(collection)[key];
+        return record ? structuredClone(record) : null;
+    }
+
+    async update(collection, key, data) {
+        const records = this.collection(collection);
+        records[key] = { ...records[key], ...structuredClone(data) };
+        await this.persist([{ collection, key }]);
+        return structuredClone(records[key]);
+    }
+
+    async delete(collection, key) {
+        const records = this.collection(collection);
+        if (!records[key]) return false;
+
+        delete records[key];
+        await this.persist([{ collection, key }]);
+        return true;
+    }
+
+    async scan(collection, options = {}) {
+        const prefix = options.prefix || '';
+
+        return Object.entries(this.collection(collection))
+            .filter(([key]) => key.startsWith(prefix))
+            .map(([key, record]) => [key, structuredClone(record)]);
+    }
+
+    async commit(operations) {
+        for (const { collection, key, value } of operations) {
+            if (value) this.collection(collection)[key] = structuredClone(value);
+            else delete this.collection(collection)[key];
+        }
+        await this.persist(operations.map(({ collection, key }) => ({ collection, key })));
+    }
+}
\ No newline at end of file
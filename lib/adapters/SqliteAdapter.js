@@ -0,0 +1,92 @@
+import { BaseAdapter } from './BaseAdapter.js';
+import { FileLock } from './FileLock.js';
+
+// Uses the node:sqlite module that ships with Node.js 22.5 and later
+export class SqliteAdapter extends BaseAdapter {
+    constructor(path = 'economy.sqlite') {
+        super();
+        this.path = path;
+        this.db = null;
+        this.lock = path === ':memory:' ? null : new FileLock(path);
+    }
+
+    // SQLite copes with several processes, but the economy's queues and cached
+    // leaderboards don't see another process's writes
+    async init() {
+        if (this.db) return;
+
+        const { DatabaseSync } = await import('node:sqlite');
+        if (this.lock) this.lock.acquire();
+        this.db = new DatabaseSync(this.path);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                PRIMARY KEY (collection, key)
+            )
+        `);
+        this.statements = {
+            get: this.db.prepare('SELECT value FROM records WHERE collection = ? AND key = ?'),
+            put: this.db.prepare(`
+                INSERT INTO records (collection, key, value) VALUES (?, ?, ?)
+                ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value
+            `),
+            delete: this.db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+            scan: this.db.prepare(`
+                SELECT key, value FROM records
+                WHERE collection = ? AND substr(key, 1, length(?)) = ?
+                ORDER BY rowid
+            `)
+        };
+    }
+
+    async get(collection, key) {
+        await this.init();
+        const row = this.statements.get.get(collection, key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async update(collection, key, data) {
+        await this.init();
+        const record = { ...(await this.get(collection, key)), ...data };
+        this.statements.put.run(collection, key, JSON.stringify(record));
+        return record;
+    }
+
+    async delete(collection, key) {
+        await this.init();
+        return this.statements.delete.run(collection, key).changes > 0;
+    }
+
+    async scan(collection, options = {}) {
+        await this.init();
+        const prefix = options.prefix || '';
+
+        return this.statements.scan.all(collection, prefix, prefix)
+            .map(row => [row.key, JSON.parse(row.value)]);
+    }
+
+    async commit(operations) {
+        await this.init();
+        this.db.exec('BEGIN');
+
+        try {
+            for (const { collection, key, value } of operations) {
+                if (value) this.statements.put.run(collection, key, JSON.stringify(value));
+                else this.statements.delete.run(collection, key);
+            }
+            this.db.exec('COMMIT');
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async close() {
+        if (!this.db) return;
+        this.db.close();
+        this.db = null;
+        if (this.lock) this.lock.release();
+    }
+}
\ No newline at end of file
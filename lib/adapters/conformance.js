@@ -0,0 +1,63 @@
+import { strict as assert } from 'assert';
+
+// Checks that an adapter honours the contract described in BaseAdapter. Run it
+// from your own test suite against a fresh, empty adapter instance.
+export async function runAdapterConformance(adapter) {
+    const collection = 'conformance';
+    await adapter.init();
+
+    assert.equal(await adapter.get(collection, 'missing'), null, 'get() resolves to null for unknown keys');
+
+    const created = await adapter.update(collection, 'a:1', { name: 'one', nested: { value: 1 } });
+    assert.deepEqual(created, { name: 'one', nested: { value: 1 } }, 'update() creates missing records');
+
+    const merged = await adapter.update(collection, 'a:1', { extra: true });
+    assert.deepEqual(merged, { name: 'one', nested: { value: 1 }, extra: true }, 'update() merges into existing records');
+
+    merged.nested.value = 2;
+    const stored = await adapter.get(collection, 'a:1');
+    assert.equal(stored.nested.value, 1, 'records are returned as copies');
+
+    await adapter.update(collection, 'b:1', { name: 'two' });
+    await adapter.update(collection, 'a:2', { name: 'three' });
+    assert.deepEqual(
+        (await adapter.scan(collection, { prefix: 'a:' })).map(([key]) => key),
+        ['a:1', 'a:2'],
+        'scan() filters by prefix and keeps insertion order'
+    );
+    assert.equal((await adapter.scan(collection)).length, 3, 'scan() without a prefix returns every record');
+    assert.deepEqual(await adapter.scan('conformance-empty'), [], 'scan() of an unknown collection is empty');
+
+    const result = await adapter.transaction(async (tx) => {
+        await tx.update(collection, 'a:1', { name: 'changed' });
+        await tx.delete(collection, 'b:1');
+        await tx.update(collection, 'c:1', { name: 'four' });
+
+        assert.equal((await tx.get(collection, 'a:1')).name, 'changed', 'transactions read their own writes');
+        assert.equal(await tx.get(collection, 'b:1'), null, 'transactions read their own deletes');
+        assert.deepEqual(
+            (await tx.scan(collection)).map(([key]) => key),
+            ['a:1', 'a:2', 'c:1'],
+            'transaction scans include pending writes'
+        );
+        assert.equal((await adapter.get(collection, 'a:1')).name, 'one', 'pending writes are invisible outside the transaction');
+        return 'done';
+    });
+    assert.equal(result, 'done', 'transaction() resolves to the callback result');
+    assert.equal((await adapter.get(collection, 'a:1')).name, 'changed', 'committed updates are visible');
+    assert.equal(await adapter.get(collection, 'b:1'), null, 'committed deletes are visible');
+    assert.equal((await adapter.get(collection, 'c:1')).name, 'four', 'committed inserts are visible');
+
+    await assert.rejects(adapter.transaction(async (tx) => {
+        await tx.update(collection, 'a:2', { name: 'lost' });
+        throw new Error('abort');
+    }), /abort/, 'transaction() rejects with the callback error');
+    assert.equal((await adapter.get(collection, 'a:2')).name, 'three', 'failed transactions write nothing');
+
+    assert.equal(await adapter.delete(collection, 'a:2'), true, 'delete() resolves to true for existing records');
+    assert.equal(await adapter.delete(collection, 'a:2'), false, 'delete() resolves to false for unknown keys');
+
+    for (const [key] of await adapter.scan(collection)) {
+        await adapter.delete(collection, key);
+    }
+}
\ No newline at end of file
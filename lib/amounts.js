@@ -0,0 +1,152 @@
+import { InvalidAmountError } from './errors.js';
+
+// Money is kept as BigInt counts of the smallest unit, so balances can grow past
+// Number.MAX_SAFE_INTEGER without losing precision. The scale is the largest
+// number of decimals among the currencies: with the default whole-coin currency
+// one unit is one coin.
+//
+// Stored records hold amounts in whole currency units, as plain JSON numbers when
+// that is lossless and as decimal strings otherwise, so files written before
+// amounts were BigInts load unchanged.
+const DECIMAL = /^([+-]?)(\d+\.?\d*|\.\d+)(?:e([+-]?\d+))?([kmbt])?$/;
+const PERCENT = /^(\d+\.?\d*|\.\d+)%$/;
+const SUFFIXES = { k: 3, m: 6, b: 9, t: 12 };
+const MAX_EXPONENT = 1000;
+const MAX_SAFE_UNITS = BigInt(Number.MAX_SAFE_INTEGER);
+
+// An exact decimal: sign * digits * 10^exponent
+function parseDecimal(text) {
+    const match = DECIMAL.exec(text);
+    if (!match) return null;
+
+    const [, sign, number, exponent = '0', suffix] = match;
+    const [whole, fraction = ''] = number.split('.');
+    const power = Number(exponent) + (suffix ? SUFFIXES[suffix] : 0) - fraction.length;
+    if (Math.abs(power) > MAX_EXPONENT) return null;
+
+    const digits = BigInt(`${whole}${fraction}` || '0');
+    return { digits: sign === '-' ? -digits : digits, power };
+}
+
+// Rounds numerator / denominator half away from zero
+function divideRounded(numerator, denominator) {
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder * 2n >= denominator) return quotient + 1n;
+    if (remainder * 2n <= -denominator) return quotient - 1n;
+    return quotient;
+}
+
+export function minOf(...amounts) {
+    return amounts.reduce((min, amount) => amount < min ? amount : min);
+}
+
+export function maxOf(...amounts) {
+    return amounts.reduce((max, amount) => amount > max ? amount : max);
+}
+
+// For Array.prototype.sort, largest first
+export function descending(a, b) {
+    return a > b ? -1 : a < b ? 1 : 0;
+}
+
+// Rounds down to a multiple of step
+export function floorTo(amount, step) {
+    return amount - (((amount % step) + step) % step);
+}
+
+// amount * factor rounded down, for rates and multipliers given as numbers
+export function multiply(amount, factor) {
+    const { digits, power } = parseDecimal(String(factor).toLowerCase());
+    if (power >= 0) return amount * digits * 10n ** BigInt(power);
+
+    const product = amount * digits;
+    const divisor = 10n ** BigInt(-power);
+    const quotient = product / divisor;
+    return product % divisor < 0n ? quotient - 1n : quotient;
+}
+
+export class Amounts {
+    constructor(scale = 0) {
+        this.scale = scale;
+        this.one = 10n ** BigInt(scale);
+    }
+
+    // Numbers, numeric strings and shorthands such as "1.5k", "2m" or "1e30"
+    // become { units, exact }, as do BigInts, which are already counted in
+    // units like format() returns them. "all", "half" and percentages become
+    // { share: [numerator, denominator] } of a balance. Returns null for
+    // anything else.
+    parse(input, step = 1n) {
+        if (typeof input === 'bigint') return { units: floorTo(input, step), exact: input % step === 0n };
+        if (typeof input === 'number' && !Number.isFinite(input)) return null;
+        if (typeof input !== 'number' && typeof input !== 'string') return null;
+
+        const text = String(input).trim().toLowerCase().replace(/[_,]/g, '');
+        if (text === 'all') return { share: [1n, 1n], all: true };
+        if (text === 'half') return { share: [1n, 2n] };
+
+        const percent = PERCENT.exec(text);
+        if (percent) {
+            const { digits, power } = parseDecimal(percent[1]);
+            const share = power >= 0 ? [digits * 10n ** BigInt(power), 100n] : [digits, 100n * 10n ** BigInt(-power)];
+            return share[0] > share[1] ? null : { share };
+        }
+
+        const decimal = parseDecimal(text);
+        if (!decimal) return null;
+
+        const power = decimal.power + this.scale;
+        const units = power >= 0
+            ? decimal.digits * 10n ** BigInt(power)
+            : divideRounded(decimal.digits, 10n ** BigInt(-power));
+        const rounded = divideRounded(units, step) * step;
+        const exact = power >= 0 ? rounded === units : rounded * 10n ** BigInt(-power) === decimal.digits;
+
+        return { units: rounded, exact };
+    }
+
+    // amount * numerator / denominator, rounded down to a multiple of step
+    share(amount, [numerator, denominator], step = 1n) {
+        return floorTo(amount * numerator / denominator, step);
+    }
+
+    // Whole currency units as an exact decimal string
+    toString(units) {
+        const sign = units < 0n ? '-' : '';
+        const absolute = units < 0n ? -units : units;
+        const whole = absolute / this.one;
+        const fraction = (absolute % this.one).toString().padStart(this.scale, '0').replace(/0+$/, '');
+
+        return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+    }
+
+    encode(units) {
+        const text = this.toString(units);
+        const number = Number(text);
+        return String(number) === text ? number : text;
+    }
+
+    decode(value) {
+        if (typeof value === 'bigint') return value;
+        if (value === undefined || value === null) return 0n;
+        // Most stored amounts are whole numbers, which need no parsing
+        if (Number.isSafeInteger(value)) return BigInt(value) * this.one;
+
+        const parsed = this.parse(value);
+        if (!parsed || parsed.share) throw new InvalidAmountError(`Invalid stored amount '${value}'`, { amount: value });
+        return parsed.units;
+    }
+
+    // Whether format(units, 'number') returns the amount exactly
+    isSafe(units) {
+        return units <= MAX_SAFE_UNITS && units >= -MAX_SAFE_UNITS;
+    }
+
+    // 'number' (default), 'string' with every digit, or 'bigint' in the smallest unit
+    format(units, style = 'number') {
+        if (style === 'bigint') return units;
+        if (style === 'string') return this.toString(units);
+        return Number(this.toString(units));
+    }
+}
@@ -0,0 +1,148 @@
+import { ValidationError } from './errors.js';
+
+// Collections written by export() and accepted by import(). Link requests are
+// short-lived and the schema version belongs to the target database.
+export const DUMP_COLLECTIONS = ['users', 'transactions', 'items', 'scopes', 'links', 'trades', 'loans'];
+
+export const CSV_COLUMNS = {
+    users: ['userId', 'platform', 'scope', 'wallet', 'bank', 'bankCapacity'],
+    transactions: ['id', 'transactionId', 'timestamp', 'userId', 'platform', 'scope', 'type', 'amount', 'currency', 'fee', 'reason']
+};
+
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+    const lines = [columns.map(csvField).join(',')];
+    for (const row of rows) lines.push(columns.map(column => csvField(row[column])).join(','));
+    return `${lines.join('\n')}\n`;
+}
+
+// Rows as objects keyed by the header line. Empty fields are left out.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new ValidationError("The CSV has an unterminated quoted field");
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(line => line.some(value => value !== ''));
+    if (!header) return [];
+    return records.map(values => Object.fromEntries(header
+        .map((column, index) => [column.trim(), values[index]])
+        .filter(([, value]) => value !== undefined && value !== '')));
+}
+
+// A parsed value, JSON text, or JSON lines as written by mongoexport
+export function readJson(input) {
+    if (typeof input !== 'string') return input;
+    try {
+        return JSON.parse(input);
+    } catch (error) {
+        const lines = input.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length < 2) throw new ValidationError(`The dump is not valid JSON: ${error.message}`);
+        return lines.map(line => JSON.parse(line));
+    }
+}
+
+// MongoDB extended JSON ({ $numberLong: "5" }, { $date: ... }) as plain values
+function unwrap(value) {
+    if (Array.isArray(value)) return value.map(unwrap);
+    if (!value || typeof value !== 'object') return value;
+
+    if ('$numberLong' in value || '$numberInt' in value || '$numberDecimal' in value || '$numberDouble' in value) {
+        return value.$numberLong || value.$numberInt || value.$numberDecimal || value.$numberDouble;
+    }
+    if ('$date' in value) return new Date(unwrap(value.$date)).getTime();
+    if ('$oid' in value) return value.$oid;
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, unwrap(item)]));
+}
+
+function pick(record, names) {
+    const name = names.find(candidate => record[candidate] !== undefined && record[candidate] !== null);
+    return name ? record[name] : undefined;
+}
+
+function timestamp(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const time = typeof value === 'number' ? value : Number(value) || new Date(value).getTime();
+    return Number.isFinite(time) && time > 0 ? time : undefined;
+}
+
+// Documents as a flat list, from an array or from { guildId: { userId: record } }
+// as discord-economy style JSON databases store them
+function documents(dump) {
+    if (Array.isArray(dump)) return dump;
+    if (!dump || typeof dump !== 'object') throw new ValidationError("The dump should be an array or an object of records");
+
+    return Object.entries(dump).flatMap(([outer, value]) => {
+        if (!value || typeof value !== 'object') return [];
+        if (pick(value, ['userID', 'userId', 'memberID', 'id']) !== undefined) return [value];
+        return Object.entries(value)
+            .filter(([, record]) => record && typeof record === 'object')
+            .map(([inner, record]) => ({ guildID: outer, userID: inner, ...record }));
+    });
+}
+
+// Importers turn a dump from another library into users of the form
+// { userId, scope, wallet, bank, bankCapacity?, cooldowns }, leaving amounts
+// as they were for the economy to parse
+export const IMPORTERS = {
+    'discord-economy': (dump) => documents(readJson(dump)).map(record => {
+        const daily = timestamp(pick(record, ['daily', 'dailyCooldown', 'lastDaily']));
+        return {
+            userId: pick(record, ['userID', 'userId', 'memberID', 'id']),
+            scope: pick(record, ['guildID', 'guildId']),
+            wallet: pick(record, ['balance', 'money', 'wallet', 'coins']),
+            bank: pick(record, ['bank', 'bankBalance']),
+            bankCapacity: pick(record, ['bankCapacity', 'bankSpace', 'bankLimit']),
+            cooldowns: daily ? { daily } : {}
+        };
+    }),
+
+    'mongo-economy': (dump) => documents(unwrap(readJson(dump))).map(record => {
+        const daily = timestamp(pick(record, ['lastDaily', 'dailyTimeout', 'daily']));
+        return {
+            userId: pick(record, ['userId', 'userID', 'memberId']),
+            scope: pick(record, ['guildId', 'guildID']),
+            wallet: pick(record, ['coinsInWallet', 'wallet', 'balance', 'money']),
+            bank: pick(record, ['coinsInBank', 'bank']),
+            bankCapacity: pick(record, ['bankSpace', 'bankCapacity']),
+            cooldowns: daily ? { daily } : {}
+        };
+    })
+};
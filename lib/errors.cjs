@@ -0,0 +1,47 @@
+// Every error thrown by the economy has a machine-readable `code`, plus the
+// numbers behind it where there are any (`required`, `available`...).
+// ValidationErrors are raised for bad input. They extend TypeError, which is
+// what invalid input used to throw, so existing catch blocks keep working.
+class FlareEconomyError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+class ValidationError extends TypeError {
+    constructor(message, code = 'INVALID_ARGUMENT', details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+class InvalidAmountError extends ValidationError {
+    constructor(message, details = {}) {
+        super(message, 'INVALID_AMOUNT', details);
+    }
+}
+
+class InsufficientFundsError extends FlareEconomyError {
+    constructor(details = {}) {
+        super(`Insufficient funds: ${details.required} required, ${details.available} available`, 'INSUFFICIENT_FUNDS', details);
+    }
+}
+
+class CapacityExceededError extends FlareEconomyError {
+    constructor(details = {}) {
+        super(`Bank capacity exceeded: ${details.required} required, ${details.available} available`, 'CAPACITY_EXCEEDED', details);
+    }
+}
+
+class CooldownError extends FlareEconomyError {
+    constructor(details = {}) {
+        super(`'${details.reward}' is on cooldown for ${details.readableTime}`, 'COOLDOWN', details);
+    }
+}
+
+module.exports = { FlareEconomyError, ValidationError, InvalidAmountError, InsufficientFundsError, CapacityExceededError, CooldownError };
\ No newline at end of file
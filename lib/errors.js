@@ -0,0 +1,45 @@
+// Every error thrown by the economy has a machine-readable `code`, plus the
+// numbers behind it where there are any (`required`, `available`...).
+// ValidationErrors are raised for bad input. They extend TypeError, which is
+// what invalid input used to throw, so existing catch blocks keep working.
+export class FlareEconomyError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+export class ValidationError extends TypeError {
+    constructor(message, code = 'INVALID_ARGUMENT', details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+export class InvalidAmountError extends ValidationError {
+    constructor(message, details = {}) {
+        super(message, 'INVALID_AMOUNT', details);
+    }
+}
+
+export class InsufficientFundsError extends FlareEconomyError {
+    constructor(details = {}) {
+        super(`Insufficient funds: ${details.required} required, ${details.available} available`, 'INSUFFICIENT_FUNDS', details);
+    }
+}
+
+export class CapacityExceededError extends FlareEconomyError {
+    constructor(details = {}) {
+        super(`Bank capacity exceeded: ${details.required} required, ${details.available} available`, 'CAPACITY_EXCEEDED', details);
+    }
+}
+
+export class CooldownError extends FlareEconomyError {
+    constructor(details = {}) {
+        super(`'${details.reward}' is on cooldown for ${details.readableTime}`, 'COOLDOWN', details);
+    }
+}
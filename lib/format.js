@@ -0,0 +1,96 @@
+import { ValidationError } from './errors.js';
+
+const NOTATIONS = ['standard', 'compact'];
+const CURRENCY_DISPLAYS = ['symbol', 'name', 'none'];
+const UNIT_DISPLAYS = ['long', 'short', 'narrow'];
+const DURATION_UNITS = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+const MAX_VARIANTS = 50;
+
+export const FORMAT_DEFAULTS = {
+    locale: 'en-US',
+    notation: 'standard',
+    currencyDisplay: 'symbol',
+    unitDisplay: 'long',
+    names: {}
+};
+
+// Amounts and durations as text for one locale, built on Intl. Intl objects
+// are expensive to create, so each formatter keeps the ones it has used.
+export class Formatter {
+    constructor(settings = {}) {
+        this.settings = { ...FORMAT_DEFAULTS, ...settings };
+        const { locale, notation, currencyDisplay, unitDisplay, names } = this.settings;
+
+        try {
+            [this.locale] = Intl.getCanonicalLocales(locale);
+        } catch (error) {
+            throw new ValidationError(`Unknown locale '${locale}'`);
+        }
+        if (!NOTATIONS.includes(notation)) throw new ValidationError("notation should be 'standard' or 'compact'");
+        if (!CURRENCY_DISPLAYS.includes(currencyDisplay)) throw new ValidationError("currencyDisplay should be 'symbol', 'name' or 'none'");
+        if (!UNIT_DISPLAYS.includes(unitDisplay)) throw new ValidationError("unitDisplay should be 'long', 'short' or 'narrow'");
+        if (!names || typeof names !== 'object') throw new ValidationError("names should be an object of currency names");
+
+        this.cache = new Map();
+        this.variants = new Map();
+    }
+
+    intl(Type, options) {
+        const key = `${Type.name}:${JSON.stringify(options)}`;
+        if (!this.cache.has(key)) this.cache.set(key, new Type(this.locale, options));
+        return this.cache.get(key);
+    }
+
+    // A formatter with some settings changed, such as another locale for one
+    // call. Settings can come from a request, so only the MAX_VARIANTS most
+    // recently used are kept.
+    with(settings) {
+        const key = JSON.stringify(settings);
+        const variant = this.variants.get(key) || new Formatter({ ...this.settings, ...settings });
+        this.variants.delete(key);
+        this.variants.set(key, variant);
+        if (this.variants.size > MAX_VARIANTS) this.variants.delete(this.variants.keys().next().value);
+        return variant;
+    }
+
+    // value is an exact decimal string. Symbols take the place Intl gives a
+    // currency code in the locale; names follow the number, in the plural the
+    // locale picks when they are given as { one, other }.
+    amount(value, currency) {
+        const { notation, currencyDisplay } = this.settings;
+        const digits = notation === 'compact' ? {} : { minimumFractionDigits: currency.decimals, maximumFractionDigits: currency.decimals };
+
+        if (currencyDisplay === 'symbol' && currency.symbol) {
+            const format = this.intl(Intl.NumberFormat, { style: 'currency', currency: 'XXX', currencyDisplay: 'code', notation, ...digits });
+            const parts = format.formatToParts(value);
+            return parts.map((part, index) => {
+                if (part.type !== 'currency') return part.value;
+                // Some locales put the code right after a compact suffix ("1,2 MXXX")
+                return index > 0 && parts[index - 1].type !== 'literal' ? ` ${currency.symbol}` : currency.symbol;
+            }).join('');
+        }
+
+        const number = this.intl(Intl.NumberFormat, { notation, ...digits }).format(value);
+        if (currencyDisplay === 'none') return number;
+
+        const name = this.settings.names[currency.id] || currency.name;
+        if (typeof name === 'string') return `${number} ${name}`;
+        const plural = this.intl(Intl.PluralRules, {}).select(Number(value));
+        return `${number} ${name[plural] || name.other}`;
+    }
+
+    // Days, hours, minutes and seconds left of a number of milliseconds, such
+    // as "1 day, 3 hours" or "1 dia e 3 horas"
+    duration(ms) {
+        let seconds = Math.max(0, Math.floor(ms / 1000));
+        const parts = [];
+        for (const [unit, length] of DURATION_UNITS) {
+            const value = Math.floor(seconds / length);
+            seconds %= length;
+            if (value > 0 || (unit === 'second' && !parts.length)) {
+                parts.push(this.intl(Intl.NumberFormat, { style: 'unit', unit, unitDisplay: this.settings.unitDisplay }).format(value));
+            }
+        }
+        return this.intl(Intl.ListFormat, { type: 'unit', style: this.settings.unitDisplay }).format(parts);
+    }
+}
@@ -0,0 +1,224 @@
+import { createHash, createHmac, randomBytes } from 'crypto';
+import { ValidationError } from './errors.js';
+
+// Outcomes are drawn from HMAC-SHA256(serverSeed, clientSeed:nonce:cursor).
+// The hash of the server seed is published before any bet; once the seed is
+// rotated and revealed, players can recompute every outcome it produced.
+export class ProvablyFairRng {
+    constructor(options = {}) {
+        this.serverSeed = options.serverSeed || randomBytes(32).toString('hex');
+        this.clientSeed = options.clientSeed || 'flare-economy';
+        this.nonce = options.nonce || 0;
+        this.previous = options.previous || null;
+    }
+
+    static hash(serverSeed) {
+        return createHash('sha256').update(String(serverSeed)).digest('hex');
+    }
+
+    // Floats in [0, 1), eight per HMAC block
+    static stream(serverSeed, clientSeed, nonce) {
+        let cursor = 0;
+        let block = null;
+        let offset = 32;
+
+        return () => {
+            if (offset === 32) {
+                block = createHmac('sha256', String(serverSeed)).update(`${clientSeed}:${nonce}:${cursor++}`).digest();
+                offset = 0;
+            }
+            const value = block.readUInt32BE(offset) / 2 ** 32;
+            offset += 4;
+            return value;
+        };
+    }
+
+    get serverSeedHash() {
+        return ProvablyFairRng.hash(this.serverSeed);
+    }
+
+    // One stream per bet, with the proof needed to verify it later
+    round(clientSeed = this.clientSeed) {
+        const nonce = this.nonce++;
+        return {
+            random: ProvablyFairRng.stream(this.serverSeed, clientSeed, nonce),
+            proof: { serverSeedHash: this.serverSeedHash, clientSeed, nonce }
+        };
+    }
+
+    // Reveals the current server seed and starts over with a new one. The
+    // revealed seed stays available as `previous`.
+    rotate(serverSeed = randomBytes(32).toString('hex')) {
+        this.previous = { serverSeed: this.serverSeed, serverSeedHash: this.serverSeedHash, rounds: this.nonce };
+        this.serverSeed = serverSeed;
+        this.nonce = 0;
+        return { ...this.previous, nextServerSeedHash: this.serverSeedHash };
+    }
+
+    // What has to be stored for resume() to pick up after a restart
+    state() {
+        const { serverSeed, serverSeedHash, clientSeed, nonce, previous } = this;
+        return { serverSeed, serverSeedHash, clientSeed, nonce, previous };
+    }
+
+    // Reveals the seed a previous run stored and keeps this one. A seed that
+    // was already used, such as a fixed serverSeed option, is replaced rather
+    // than drawn from again at nonce 0, which would replay its outcomes.
+    resume(state) {
+        const next = state.serverSeed === this.serverSeed ? undefined : this.serverSeed;
+        this.serverSeed = state.serverSeed;
+        this.nonce = state.nonce;
+        return this.rotate(next);
+    }
+}
+
+// Plain functions such as Math.random or a seeded PRNG work too, without proofs
+export function createRng(rng) {
+    if (!rng) return new ProvablyFairRng();
+    if (typeof rng === 'function') return { round: () => ({ random: rng, proof: null }) };
+    if (typeof rng.round === 'function') return rng;
+    throw new ValidationError("rng should be a function or a ProvablyFairRng");
+}
+
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+function draw(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+function pickWeighted(random, symbols) {
+    const total = symbols.reduce((sum, symbol) => sum + symbol.weight, 0);
+    let roll = random() * total;
+    for (const symbol of symbols) {
+        roll -= symbol.weight;
+        if (roll < 0) return symbol;
+    }
+    return symbols[symbols.length - 1];
+}
+
+// Aces count 11 unless that busts the hand
+function handValue(cards) {
+    let total = 0;
+    let aces = 0;
+    for (const card of cards) {
+        if (card === 'A') aces++;
+        total += card === 'A' ? 11 : ['J', 'Q', 'K'].includes(card) ? 10 : Number(card);
+    }
+    while (total > 21 && aces-- > 0) total -= 10;
+    return total;
+}
+
+// Each game picks its input out of the call options, and plays from a stream
+// of random floats. play() returns the outcome and the fair multiplier of the
+// bet before the house edge: 0 for a loss, 1 for a push.
+export const GAMES = {
+    coinflip: {
+        defaults: {},
+        input(options) {
+            const choice = String(options.choice || '').toLowerCase();
+            if (choice !== 'heads' && choice !== 'tails') throw new ValidationError("The choice should be 'heads' or 'tails'");
+            return { choice };
+        },
+        play(random, config, { choice }) {
+            const side = random() < 0.5 ? 'heads' : 'tails';
+            return { outcome: { side }, multiplier: side === choice ? 2 : 0 };
+        }
+    },
+
+    dice: {
+        defaults: { sides: 6 },
+        input(options, config) {
+            const guess = Number(options.guess);
+            if (!Number.isInteger(guess) || guess < 1 || guess > config.sides) {
+                throw new ValidationError(`The guess should be a whole number from 1 to ${config.sides}`);
+            }
+            return { guess };
+        },
+        play(random, config, { guess }) {
+            const roll = 1 + Math.floor(random() * config.sides);
+            return { outcome: { roll }, multiplier: roll === guess ? config.sides : 0 };
+        }
+    },
+
+    slots: {
+        // Returns about 92% of bets before the house edge
+        defaults: {
+            reels: 3,
+            symbols: [
+                { symbol: '🍒', weight: 40, payout: 4 },
+                { symbol: '🍋', weight: 30, payout: 8 },
+                { symbol: '🔔', weight: 20, payout: 15 },
+                { symbol: '💎', weight: 9, payout: 40 },
+                { symbol: '7️⃣', weight: 1, payout: 100 }
+            ],
+            pairPayout: 0.5
+        },
+        input() {
+            return {};
+        },
+        play(random, config) {
+            const reels = Array.from({ length: config.reels }, () => pickWeighted(random, config.symbols));
+            const outcome = { reels: reels.map(reel => reel.symbol) };
+
+            if (reels.every(reel => reel === reels[0])) return { outcome, multiplier: reels[0].payout };
+            if (new Set(reels).size < reels.length) return { outcome, multiplier: config.pairPayout };
+            return { outcome, multiplier: 0 };
+        }
+    },
+
+    // One round against the dealer from an endless shoe: the player draws
+    // until standOn, the dealer until dealerStandsOn
+    blackjack: {
+        defaults: { standOn: 17, dealerStandsOn: 17, blackjackPayout: 2.5 },
+        input() {
+            return {};
+        },
+        play(random, config) {
+            const player = [draw(random, RANKS), draw(random, RANKS)];
+            const dealer = [draw(random, RANKS), draw(random, RANKS)];
+            const outcome = () => ({ player, dealer, playerTotal: handValue(player), dealerTotal: handValue(dealer) });
+
+            const playerNatural = handValue(player) === 21;
+            const dealerNatural = handValue(dealer) === 21;
+            if (playerNatural || dealerNatural) {
+                const multiplier = playerNatural && dealerNatural ? 1 : playerNatural ? config.blackjackPayout : 0;
+                return { outcome: outcome(), multiplier };
+            }
+
+            while (handValue(player) < config.standOn) player.push(draw(random, RANKS));
+            if (handValue(player) > 21) return { outcome: outcome(), multiplier: 0 };
+
+            while (handValue(dealer) < config.dealerStandsOn) dealer.push(draw(random, RANKS));
+            const playerTotal = handValue(player);
+            const dealerTotal = handValue(dealer);
+            const multiplier = dealerTotal > 21 || playerTotal > dealerTotal ? 2 : playerTotal === dealerTotal ? 1 : 0;
+            return { outcome: outcome(), multiplier };
+        }
+    }
+};
+
+// Game settings on top of the game's defaults. minBet and maxBet are amounts
+// and are parsed by the economy.
+export function createGame(name, config = {}) {
+    const game = GAMES[name];
+    if (!game) throw new ValidationError(`Unknown game '${name}'`);
+
+    const settings = { houseEdge: 0.02, minBet: 1, maxBet: null, cooldown: 0, ...game.defaults, ...config };
+    if (typeof settings.houseEdge !== 'number' || !(settings.houseEdge >= 0 && settings.houseEdge < 1)) {
+        throw new ValidationError("The house edge should be at least 0 and below 1");
+    }
+    if (typeof settings.cooldown !== 'number' || !(settings.cooldown >= 0)) {
+        throw new ValidationError("The cooldown should be a number of at least zero");
+    }
+    if (name === 'dice' && !(Number.isInteger(settings.sides) && settings.sides >= 2)) {
+        throw new ValidationError("Dice need a whole number of at least two sides");
+    }
+    if (name === 'slots') {
+        if (!Number.isInteger(settings.reels) || settings.reels < 2) throw new ValidationError("Slots need at least two reels");
+        if (!Array.isArray(settings.symbols) || !settings.symbols.length || settings.symbols.some(symbol => !(symbol.weight > 0) || !(symbol.payout >= 0))) {
+            throw new ValidationError("Slot symbols need a weight above zero and a payout of at least zero");
+        }
+    }
+
+    return { name, ...settings };
+}
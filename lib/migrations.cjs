@@ -0,0 +1,48 @@
+// Migrations bring stored data up to the current schema, oldest first. Each one
+// runs in a transaction together with the version bump, so an interrupted
+// upgrade picks up where it stopped. up(store, db) gets the transaction store
+// and the database; records are read and written in their stored form.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in fields missing from users written by older versions',
+        async up(store, db) {
+            for (const [key, user] of await store.scan('users')) {
+                const updates = {};
+
+                // The oldest files keyed users as platform:userId without storing either
+                if (user.userId === undefined || user.platform === undefined) {
+                    const separator = key.indexOf(':');
+                    if (user.platform === undefined) updates.platform = key.slice(0, separator);
+                    if (user.userId === undefined) updates.userId = key.slice(separator + 1);
+                }
+                if (user.wallet === undefined) updates.wallet = 0;
+                if (user.bank === undefined) updates.bank = 0;
+                if (user.bankCapacity === undefined) {
+                    const defaults = await db.userDefaults(user.scope, store);
+                    updates.bankCapacity = db.encode(defaults.bankCapacity !== undefined ? defaults.bankCapacity : db.amounts.decode(2500));
+                }
+                if (!user.cooldowns) updates.cooldowns = user.lastDaily ? { daily: user.lastDaily } : {};
+
+                if (Object.keys(updates).length) await store.update('users', key, updates);
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Key ledger entries by user instead of by id',
+        async up(store, db) {
+            for (const [key, entry] of await store.scan('transactions')) {
+                const ledgerKey = db.ledgerKey(entry);
+                if (key === ledgerKey) continue;
+
+                await store.delete('transactions', key);
+                await store.update('transactions', ledgerKey, entry);
+            }
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+module.exports = { MIGRATIONS, SCHEMA_VERSION };
\ No newline at end of file
@@ -0,0 +1,200 @@
+const { createServer } = require('http');
+const { timingSafeEqual } = require('crypto');
+const { ValidationError } = require('./errors.cjs');
+
+// HTTP status of each error code. Codes missing here are answered with 500.
+const ERROR_STATUS = {
+    INVALID_ARGUMENT: 400,
+    INVALID_AMOUNT: 400,
+    INVALID_JSON: 400,
+    MISSING_USER_ID: 400,
+    UNKNOWN_CURRENCY: 400,
+    UNKNOWN_REWARD: 400,
+    UNAUTHORIZED: 401,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    INSUFFICIENT_FUNDS: 409,
+    CAPACITY_EXCEEDED: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    COOLDOWN: 429
+};
+
+class HttpError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'HttpError';
+        this.code = code;
+    }
+}
+
+// Options shared by the user routes: from the query string of GETs and the
+// JSON body of POSTs
+function callOptions(input) {
+    const options = {};
+    for (const name of ['scope', 'currency', 'reason', 'metadata', 'strict', 'locale']) {
+        if (input[name] !== undefined) options[name] = input[name];
+    }
+    return options;
+}
+
+const ROUTES = [
+    {
+        method: 'GET',
+        path: /^\/users\/([^/]+)\/([^/]+)\/balance$/,
+        handle: (economy, [platform, userId], { query }) => economy.balance(userId, platform, callOptions(query))
+    },
+    {
+        method: 'GET',
+        path: /^\/users\/([^/]+)\/([^/]+)\/history$/,
+        handle: (economy, [platform, userId], { query }) => economy.history(userId, platform, {
+            scope: query.scope,
+            limit: query.limit,
+            before: query.before !== undefined ? Number(query.before) : undefined,
+            type: query.type
+        })
+    },
+    {
+        method: 'GET',
+        path: /^\/users\/([^/]+)\/([^/]+)\/rank$/,
+        handle: (economy, [platform, userId], { query }) => economy.rank(userId, platform, query.sortBy, {
+            scope: query.scope,
+            currency: query.currency,
+            allPlatforms: query.allPlatforms === 'true'
+        })
+    },
+    {
+        method: 'POST',
+        path: /^\/users\/([^/]+)\/([^/]+)\/give$/,
+        handle: (economy, [platform, userId], { body }) => economy.give(userId, platform, body.amount, callOptions(body))
+    },
+    {
+        method: 'POST',
+        path: /^\/users\/([^/]+)\/([^/]+)\/deduct$/,
+        handle: (economy, [platform, userId], { body }) => economy.deduct(userId, platform, body.amount, callOptions(body))
+    },
+    {
+        method: 'POST',
+        path: /^\/users\/([^/]+)\/([^/]+)\/daily$/,
+        handle: (economy, [platform, userId], { body }) => economy.daily(userId, platform, body.amount, callOptions(body))
+    },
+    {
+        method: 'GET',
+        path: /^\/leaderboard$/,
+        handle: (economy, params, { query }) => economy.leaderboard({
+            count: query.count !== undefined ? Number(query.count) : 10,
+            offset: query.offset !== undefined ? Number(query.offset) : 0,
+            platform: query.platform || null,
+            sortBy: query.sortBy || 'total',
+            scope: query.scope,
+            currency: query.currency
+        })
+    },
+    {
+        method: 'GET',
+        path: /^\/stats$/,
+        handle: (economy, params, { query }) => economy.economyStats(query)
+    },
+    {
+        method: 'GET',
+        path: /^\/transactions$/,
+        handle: (economy, params, { query }) => economy.auditLog({
+            ...query,
+            before: query.before !== undefined ? Number(query.before) : undefined
+        })
+    }
+];
+
+// Query parameters as an object; repeated ones, such as ?type=give&type=deduct, as arrays
+function parseQuery(searchParams) {
+    const query = {};
+    for (const key of new Set(searchParams.keys())) {
+        const values = searchParams.getAll(key);
+        query[key] = values.length > 1 ? values : values[0];
+    }
+    return query;
+}
+
+async function readBody(request, limit) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > limit) throw new HttpError(`The body can be at most ${limit} bytes`, 'PAYLOAD_TOO_LARGE');
+        chunks.push(chunk);
+    }
+    if (!size) return {};
+
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(`The body is not valid JSON: ${error.message}`, 'INVALID_JSON');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError("The body should be a JSON object", 'INVALID_JSON');
+    return body;
+}
+
+function authorized(request, token) {
+    const header = request.headers.authorization || '';
+    const given = Buffer.from(header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '');
+    const expected = Buffer.from(token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function send(response, status, value) {
+    const body = JSON.stringify(value, (key, item) => typeof item === 'bigint' ? String(item) : item);
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(body) });
+    response.end(body);
+}
+
+// An http.Server answering the admin routes from the given economy. It isn't
+// listening yet: call server.listen(port). Every request needs the token as
+// "Authorization: Bearer <token>". options.basePath mounts the routes under a
+// prefix, options.bodyLimit caps request bodies (default: 1 MB). Unexpected
+// errors are answered with a 500 and passed to options.onError, which emits
+// them as 'error' events of the economy by default.
+function createAdminServer(economy, options = {}) {
+    if (typeof options.token !== 'string' || !options.token) throw new ValidationError("Please Provide a token for the admin server");
+
+    const basePath = (options.basePath || '').replace(/\/+$/, '');
+    const bodyLimit = options.bodyLimit || 1024 * 1024;
+    const onError = options.onError || (error => economy.emitSafely('error', error));
+
+    return createServer(async (request, response) => {
+        try {
+            if (!authorized(request, options.token)) throw new HttpError("A valid bearer token is required", 'UNAUTHORIZED');
+
+            const url = new URL(request.url, 'http://localhost');
+            if (!url.pathname.startsWith(`${basePath}/`)) throw new HttpError(`No route for ${url.pathname}`, 'NOT_FOUND');
+
+            const path = url.pathname.slice(basePath.length);
+            const matches = ROUTES.map(route => ({ route, match: route.path.exec(path) })).filter(({ match }) => match);
+            if (!matches.length) throw new HttpError(`No route for ${url.pathname}`, 'NOT_FOUND');
+
+            const found = matches.find(({ route }) => route.method === request.method);
+            if (!found) {
+                response.setHeader('Allow', matches.map(({ route }) => route.method).join(', '));
+                throw new HttpError(`${request.method} is not allowed on ${url.pathname}`, 'METHOD_NOT_ALLOWED');
+            }
+
+            let params;
+            try {
+                params = found.match.slice(1).map(decodeURIComponent);
+            } catch (error) {
+                throw new HttpError(`The path ${url.pathname} is not correctly encoded`, 'INVALID_ARGUMENT');
+            }
+            const body = request.method === 'POST' ? await readBody(request, bodyLimit) : {};
+            const result = await found.route.handle(economy, params, { query: parseQuery(url.searchParams), body });
+            send(response, 200, result);
+        } catch (error) {
+            const status = ERROR_STATUS[error.code] || 500;
+            if (status === 500) {
+                onError(error);
+                return send(response, 500, { error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+            }
+            send(response, status, { error: { ...error, name: error.name, code: error.code, message: error.message } });
+        }
+    });
+}
+
+module.exports = { ERROR_STATUS, createAdminServer };
\ No newline at end of file
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+import { JsonFileAdapter } from '../lib/adapters/JsonFileAdapter.js';
+import { SqliteAdapter } from '../lib/adapters/SqliteAdapter.js';
+import { runAdapterConformance } from '../lib/adapters/conformance.js';
+
+async function withTempDir(fn) {
+    const dir = await mkdtemp(join(tmpdir(), 'flare-economy-'));
+    try {
+        await fn(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+// node:sqlite ships with Node.js 22.5 and later
+async function sqliteAvailable() {
+    try {
+        await import('node:sqlite');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+test('MemoryAdapter passes the conformance suite', async () => {
+    await runAdapterConformance(new MemoryAdapter());
+});
+
+test('JsonFileAdapter passes the conformance suite', async () => {
+    await withTempDir(async (dir) => {
+        const adapter = new JsonFileAdapter(join(dir, 'economy.db'));
+        await runAdapterConformance(adapter);
+        await adapter.close();
+    });
+});
+
+test('SqliteAdapter passes the conformance suite', { skip: !(await sqliteAvailable()) && 'node:sqlite is not available' }, async () => {
+    await withTempDir(async (dir) => {
+        const adapter = new SqliteAdapter(join(dir, 'economy.sqlite'));
+        await runAdapterConformance(adapter);
+        await adapter.close();
+    });
+});
+
+test('JsonFileAdapter keeps the ledger out of the database file', async () => {
+    await withTempDir(async (dir) => {
+        const path = join(dir, 'economy.db');
+        const adapter = new JsonFileAdapter(path);
+        await adapter.init();
+        await adapter.update('users', 'discord:1', { wallet: 5 });
+        await adapter.transaction(async (tx) => {
+            await tx.update('users', 'discord:1', { wallet: 10 });
+            await tx.update('transactions', 'discord:1:1:a', { amount: 5 });
+        });
+        await adapter.close();
+
+        assert.deepEqual(JSON.parse(await readFile(path, 'utf8')), { users: { 'discord:1': { wallet: 10 } } });
+
+        const reloaded = new JsonFileAdapter(path);
+        await reloaded.init();
+        assert.deepEqual(await reloaded.scan('transactions'), [['discord:1:1:a', { amount: 5 }]]);
+        await reloaded.close();
+    });
+});
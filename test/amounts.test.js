@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { FlareEconomy } from '../lib/Database.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+
+test('BigInt amounts round-trip with amountFormat bigint', async () => {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter(), amountFormat: 'bigint', currencies: [{ id: 'coins', decimals: 2 }] });
+
+    assert.equal((await economy.give('1', 'discord', 500n)).newBalance, 500n);
+    const { wallet } = await economy.balance('1', 'discord');
+    assert.equal((await economy.deduct('1', 'discord', wallet)).newBalance, 0n);
+});
+
+test('amounts numbers cannot hold exactly are refused with the default amountFormat', async () => {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+
+    await assert.rejects(economy.give('1', 'discord', '1e400'), { code: 'INVALID_AMOUNT' });
+    await assert.rejects(economy.give('1', 'discord', '9007199254740993'), { code: 'INVALID_AMOUNT' });
+
+    await economy.give('1', 'discord', Number.MAX_SAFE_INTEGER);
+    await assert.rejects(economy.give('1', 'discord', 1), { code: 'INVALID_AMOUNT' });
+    assert.equal((await economy.balance('1', 'discord')).wallet, Number.MAX_SAFE_INTEGER);
+});
+
+test('amounts with more decimals than their currency are refused instead of rounded', async () => {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+
+    for (const amount of [0.4, 0.5, 1.5, '2.5']) {
+        await assert.rejects(economy.give('1', 'discord', amount), { code: 'INVALID_AMOUNT' });
+    }
+    assert.equal((await economy.balance('1', 'discord')).wallet, 0);
+    assert.equal((await economy.give('1', 'discord', 2)).newBalance, 2);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { execFile } from 'child_process';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { FlareEconomy } from '../lib/Database.js';
+import { JsonFileAdapter } from '../lib/adapters/JsonFileAdapter.js';
+
+const CLI = fileURLToPath(new URL('../bin/flare-economy.js', import.meta.url));
+
+// Resolves to { code, stdout, stderr } whether the command succeeds or not
+function run(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+async function withDatabase(fn) {
+    const dir = await mkdtemp(join(tmpdir(), 'flare-economy-'));
+    try {
+        const db = join(dir, 'economy.db');
+        await writeFile(db, '{}');
+        await fn(db);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('commands change and read the database', async () => {
+    await withDatabase(async (db) => {
+        const give = await run(['--db', db, '--json', 'give', 'user123', '1.5k', '--reason', 'Refund']);
+        assert.equal(give.code, 0, give.stderr);
+        assert.equal(JSON.parse(give.stdout).newBalance, 1500);
+
+        const balance = await run(['--db', db, 'balance', 'user123']);
+        assert.equal(balance.code, 0, balance.stderr);
+        assert.match(balance.stdout, /^wallet: 1500$/m);
+
+        const economy = new FlareEconomy({ adapter: new JsonFileAdapter(db) });
+        const [entry] = await economy.history('user123', 'discord');
+        assert.equal(entry.reason, 'Refund');
+        await economy.close();
+        assert.equal(existsSync(`${db}.lock`), false);
+    });
+});
+
+test('failures exit with status 1', async () => {
+    await withDatabase(async (db) => {
+        const result = await run(['--db', db, '--json', 'deduct', 'user123', 'lots']);
+        assert.equal(result.code, 1);
+        assert.equal(JSON.parse(result.stderr).error.code, 'INVALID_AMOUNT');
+    });
+});
+
+test('commands refuse a database another process has open', async () => {
+    await withDatabase(async (db) => {
+        // This test process stands in for a running bot
+        const economy = new FlareEconomy({ adapter: new JsonFileAdapter(db) });
+        await economy.give('user123', 'discord', 100);
+
+        const result = await run(['--db', db, 'give', 'user123', '500']);
+        assert.equal(result.code, 1);
+        assert.match(result.stderr, new RegExp(`^DATABASE_LOCKED: .* process ${process.pid}\\b`));
+
+        await economy.close();
+        assert.equal((await run(['--db', db, 'give', 'user123', '500'])).code, 0);
+        const reloaded = new FlareEconomy({ adapter: new JsonFileAdapter(db) });
+        assert.equal((await reloaded.balance('user123', 'discord')).wallet, 600);
+        await reloaded.close();
+    });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { FlareEconomy } from '../lib/Database.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+
+test('a throwing listener does not fail an operation that was saved', async () => {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+    const errors = [];
+    economy.on('balanceChange', () => {
+        throw new Error('listener failed');
+    });
+    economy.on('error', error => errors.push(error.message));
+
+    const result = await economy.give('1', 'discord', 100);
+    assert.equal(result.newBalance, 100);
+    assert.deepEqual(errors, ['listener failed']);
+    assert.equal((await economy.balance('1', 'discord')).wallet, 100);
+});
+
+test('listener errors are not written to the console', async (t) => {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+    const logged = t.mock.method(console, 'error', () => {});
+    economy.on('balanceChange', () => {
+        throw new Error('listener failed');
+    });
+
+    assert.equal((await economy.give('1', 'discord', 100)).newBalance, 100);
+    economy.on('error', () => {
+        throw new Error('error listener failed');
+    });
+    assert.equal((await economy.give('1', 'discord', 100)).newBalance, 200);
+    assert.equal(logged.mock.callCount(), 0);
+});
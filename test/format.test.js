@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { Formatter } from '../lib/format.js';
+
+test('formatters for other settings are cached up to a limit', () => {
+    const formatter = new Formatter();
+    const german = formatter.with({ locale: 'de-DE' });
+
+    for (let i = 0; i < 100; i++) formatter.with({ locale: `en-x-a${i}` });
+    assert.equal(formatter.variants.size, 50);
+    assert.notEqual(formatter.with({ locale: 'de-DE' }), german);
+    assert.equal(formatter.with({ locale: 'de-DE' }).amount('1250', { decimals: 0, name: 'coins' }), '1.250 coins');
+});
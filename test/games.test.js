@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { setTimeout as sleep } from 'timers/promises';
+import { FlareEconomy } from '../lib/Database.js';
+import { ProvablyFairRng } from '../lib/games.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+
+test('a restart reveals the stored server seed and draws from a new one', async () => {
+    const adapter = new MemoryAdapter();
+    const before = new FlareEconomy({ adapter });
+    await before.give('1', 'discord', 100);
+    const flips = [];
+    for (let i = 0; i < 3; i++) flips.push(await before.coinflip('1', 'discord', 10, 'heads'));
+
+    const after = new FlareEconomy({ adapter });
+    await after.balance('1', 'discord');
+    const { previous } = after.gameRng;
+    assert.equal(previous.serverSeed, before.gameRng.serverSeed);
+    assert.equal(previous.rounds, 3);
+    assert.notEqual(after.gameRng.serverSeed, before.gameRng.serverSeed);
+    for (const flip of flips) assert.equal(after.verifyGame(flip, previous.serverSeed).valid, true);
+});
+
+test('a fixed server seed is not drawn from again after a restart', async () => {
+    const adapter = new MemoryAdapter();
+    const start = () => new FlareEconomy({ adapter, games: { rng: new ProvablyFairRng({ serverSeed: 'fixed' }) } });
+    const before = start();
+    await before.give('1', 'discord', 100);
+    const flip = await before.coinflip('1', 'discord', 10, 'heads');
+
+    const after = start();
+    await after.balance('1', 'discord');
+    assert.equal(after.gameRng.previous.serverSeed, 'fixed');
+    assert.notEqual(after.gameRng.serverSeed, 'fixed');
+    assert.notDeepEqual((await after.coinflip('1', 'discord', 10, 'heads')).proof, flip.proof);
+});
+
+test('concurrent rounds store the latest nonce', async () => {
+    // Commits finish in a random order, as they can with a real database
+    class SlowAdapter extends MemoryAdapter {
+        async commit(operations) {
+            await sleep(Math.random() * 5);
+            return super.commit(operations);
+        }
+    }
+    const adapter = new SlowAdapter();
+    const economy = new FlareEconomy({ adapter });
+    for (let i = 0; i < 20; i++) await economy.give(`u${i}`, 'discord', 100);
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => economy.coinflip(`u${i}`, 'discord', 10, 'heads')));
+    assert.equal((await adapter.get('meta', 'rng:games')).nonce, 20);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { FlareEconomy } from '../lib/Database.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+import { LeaderboardIndex } from '../lib/LeaderboardIndex.js';
+
+test('the leaderboard cache keeps only the most recently used leaderboards', async () => {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter(), leaderboardCacheSize: 2 });
+    await economy.give('1', 'discord', 100, { scope: 'a' });
+
+    for (const scope of ['a', 'b', 'a', 'c', 'd']) await economy.leaderboard(10, 'discord', 'total', { scope });
+    assert.equal(economy.leaderboards.size, 2);
+
+    await economy.give('2', 'discord', 50, { scope: 'a' });
+    assert.deepEqual((await economy.leaderboard(10, 'discord', 'total', { scope: 'a' })).map(entry => entry.userId), ['1', '2']);
+});
+
+test('a leaderboard index sorts the first scan and applies changes made during it', async () => {
+    const index = new LeaderboardIndex(user => user.wallet);
+    const built = index.build(async () => {
+        index.update('d', { wallet: 7n });
+        return [['a', { wallet: 5n }], ['b', { wallet: 9n }], ['c', { wallet: 5n }]];
+    });
+    await built;
+
+    assert.deepEqual(index.slice(0, 10).map(entry => entry.key), ['b', 'd', 'a', 'c']);
+    assert.equal(index.position('a'), 2);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { FlareEconomy } from '../lib/Database.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+
+async function linkedEconomy() {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+    const primary = { userId: '1', platform: 'discord' };
+    const secondary = { userId: '2', platform: 'discord' };
+    const { code } = await economy.link(primary, secondary);
+    await economy.confirmLink(secondary, code);
+    return economy;
+}
+
+test('transfer refuses to move money between linked identities of one account', async () => {
+    const economy = await linkedEconomy();
+    await economy.give('1', 'discord', 100);
+
+    assert.deepEqual(await economy.transfer('1', '2', 'discord', 50), { success: false, reason: 'same_account' });
+    assert.deepEqual(await economy.transfer('2', '1', 'discord', 'all'), { success: false, reason: 'same_account' });
+    assert.equal((await economy.balance('1', 'discord')).wallet, 100);
+});
+
+test('linking keeps the streaks and shield of the secondary account', async () => {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+    const primary = { userId: '1', platform: 'discord' };
+    const secondary = { userId: '2', platform: 'whatsapp' };
+    await economy.daily('2', 'whatsapp');
+    await economy.setShield('2', 'whatsapp', 60 * 60 * 1000);
+
+    const { code } = await economy.link(primary, secondary);
+    await economy.confirmLink(secondary, code);
+
+    const daily = await economy.daily('1', 'discord');
+    assert.equal(daily.cooldown, true);
+    assert.equal(daily.streak, 1);
+    assert.equal(daily.bestStreak, 1);
+    assert.equal((await economy.rob('3', '1', 'discord')).reason, 'shielded');
+});
+
+test('history of a linked identity is the history of its account', async () => {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+    const primary = { userId: '1', platform: 'discord' };
+    const secondary = { userId: '2', platform: 'whatsapp' };
+    await economy.give('1', 'discord', 100);
+    const { code } = await economy.link(primary, secondary);
+    await economy.confirmLink(secondary, code);
+    await economy.give('2', 'whatsapp', 50);
+
+    const history = await economy.history('2', 'whatsapp', { type: 'give' });
+    assert.deepEqual(history.map(entry => [entry.userId, entry.amount]).sort(), [['1', 100], ['1', 50]]);
+    assert.deepEqual(await economy.history('1', 'discord', { type: 'give' }), history);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { FlareEconomy } from '../lib/Database.js';
+import { ProvablyFairRng } from '../lib/games.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+
+async function economyWith(balances, rob = {}) {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter(), rob: { rng: new ProvablyFairRng({ serverSeed: 'rob-test' }), ...rob } });
+    for (const [userId, amount] of Object.entries(balances)) await economy.give(userId, 'discord', amount);
+    return economy;
+}
+
+const walletOf = async (economy, userId) => (await economy.balance(userId, 'discord')).wallet;
+
+test('a robbery draws from the seeded generator and can be verified', async () => {
+    const economy = await economyWith({ thief: 500, victim: 1000, other: 500 });
+
+    // The first draw of 'rob-test' is 0.16, under the default chance of 0.4,
+    // and the second takes 28.8% of the wallet
+    const result = await economy.rob('thief', 'victim', 'discord');
+    assert.equal(result.robbed, true);
+    assert.equal(result.stolen, 288);
+    assert.equal(result.newBalance, 788);
+    assert.equal(result.victimBalance, 712);
+    assert.deepEqual(result.proof, { serverSeedHash: ProvablyFairRng.hash('rob-test'), clientSeed: 'flare-economy', nonce: 0 });
+
+    const { serverSeed } = economy.robRng.rotate();
+    const random = ProvablyFairRng.stream(serverSeed, result.proof.clientSeed, result.proof.nonce);
+    assert.ok(random() < result.chance);
+
+    assert.equal((await economy.rob('other', 'victim', 'discord')).reason, 'protected');
+});
+
+test('a caught robber pays a fine to the victim', async () => {
+    const economy = await economyWith({ thief: 500, victim: 1000 }, { chance: 0, fine: { rate: 0.1, flat: 50 } });
+
+    const result = await economy.rob('thief', 'victim', 'discord');
+    assert.equal(result.robbed, false);
+    assert.equal(result.fine, 100);
+    assert.equal(await walletOf(economy, 'thief'), 400);
+    assert.equal(await walletOf(economy, 'victim'), 1100);
+});
+
+test('a fine paid to nobody leaves the economy', async () => {
+    const economy = await economyWith({ thief: 500, victim: 1000 }, { chance: 0, finePaidTo: null });
+
+    assert.equal((await economy.rob('thief', 'victim', 'discord')).fine, 50);
+    assert.equal(await walletOf(economy, 'thief'), 450);
+    assert.equal(await walletOf(economy, 'victim'), 1000);
+});
+
+test('both users need the minimum balance, and refusals do not start the cooldown', async () => {
+    const economy = await economyWith({ poor: 99, thief: 500, victim: 1000, broke: 99 });
+
+    assert.deepEqual(await economy.rob('poor', 'victim', 'discord'), { success: false, reason: 'attacker_too_poor', required: 100, available: 99 });
+    await assert.rejects(economy.rob('poor', 'victim', 'discord', { strict: true }), { code: 'INSUFFICIENT_FUNDS' });
+    assert.deepEqual(await economy.rob('thief', 'broke', 'discord'), { success: false, reason: 'victim_too_poor', required: 100, available: 99 });
+
+    assert.equal((await economy.rob('thief', 'victim', 'discord')).success, true);
+    assert.equal(await walletOf(economy, 'poor'), 99);
+    assert.equal(await walletOf(economy, 'broke'), 99);
+});
+
+test('an attacker waits for the cooldown between attempts', async () => {
+    const economy = await economyWith({ thief: 500, victim: 1000, other: 1000 }, { chance: 0 });
+
+    assert.equal((await economy.rob('thief', 'victim', 'discord')).success, true);
+    const result = await economy.rob('thief', 'other', 'discord');
+    assert.equal(result.cooldown, true);
+    assert.ok(result.remainingTime > 0 && result.remainingTime <= 60 * 60 * 1000);
+    await assert.rejects(economy.rob('thief', 'other', 'discord', { strict: true }), { code: 'COOLDOWN' });
+    assert.equal(await walletOf(economy, 'other'), 1000);
+});
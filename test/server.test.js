@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { once } from 'events';
+import { FlareEconomy } from '../lib/Database.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+import { createAdminServer } from '../lib/server.js';
+
+const TOKEN = 'secret';
+
+// A listening admin server and a function sending it requests
+async function serve(t, options = {}) {
+    const adapter = new MemoryAdapter();
+    const economy = new FlareEconomy({ adapter, ...options.economy });
+    const server = createAdminServer(economy, { token: TOKEN, ...options.server });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    t.after(() => server.close());
+
+    const request = async (method, path, { body, token = TOKEN } = {}) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+            body: typeof body === 'string' ? body : body && JSON.stringify(body)
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+    return { economy, adapter, request };
+}
+
+test('user routes call the economy and answer with its result', async (t) => {
+    const { request } = await serve(t);
+
+    assert.deepEqual((await request('POST', '/users/discord/1/give', { body: { amount: 500, reason: 'Giveaway' } })).body, { amount: 500, newBalance: 500, currency: 'coins' });
+    assert.equal((await request('POST', '/users/discord/1/deduct', { body: { amount: 100 } })).body.newBalance, 400);
+    assert.equal((await request('POST', '/users/discord/1/daily', { body: {} })).body.success, true);
+    await request('POST', '/users/discord/2/give', { body: { amount: 50 } });
+
+    const balance = await request('GET', '/users/discord/1/balance');
+    assert.equal(balance.status, 200);
+    assert.deepEqual(balance.body, { wallet: 500, bank: 0, bankCapacity: 2500, total: 500 });
+
+    const history = await request('GET', '/users/discord/1/history?type=give&type=deduct');
+    assert.deepEqual(history.body.map(entry => entry.type).sort(), ['deduct', 'give']);
+    assert.equal(history.body.find(entry => entry.type === 'give').reason, 'Giveaway');
+
+    assert.equal((await request('GET', '/users/discord/2/rank')).body.rank, 2);
+});
+
+test('economy routes answer with leaderboards, stats and the ledger', async (t) => {
+    const { request } = await serve(t);
+    await request('POST', '/users/discord/1/give', { body: { amount: 100 } });
+    await request('POST', '/users/discord/2/give', { body: { amount: 300 } });
+
+    const page = (await request('GET', '/leaderboard?count=1&platform=discord')).body;
+    assert.deepEqual([page.users.map(user => user.userId), page.total, page.hasMore], [['2'], 2, true]);
+    assert.equal((await request('GET', '/stats?platform=discord')).body.total, 400);
+    assert.equal((await request('GET', '/transactions?userId=2')).body.length, 1);
+});
+
+test('reading the balance of an unknown user does not create it', async (t) => {
+    const { adapter, request } = await serve(t, { economy: { interest: { rate: 0.01 } } });
+
+    const { status, body } = await request('GET', '/users/discord/nobody/balance');
+    assert.equal(status, 200);
+    assert.equal(body.total, 0);
+    assert.equal(body.lastInterestAt, null);
+    assert.equal(await adapter.get('users', 'discord:nobody'), null);
+});
+
+test('errors are answered with the status of their code', async (t) => {
+    const { request } = await serve(t, { server: { bodyLimit: 64 } });
+    const statusOf = async (...args) => {
+        const { status, body } = await request(...args);
+        return [status, body.error.code];
+    };
+
+    assert.deepEqual(await statusOf('GET', '/users/discord/1/balance', { token: 'wrong' }), [401, 'UNAUTHORIZED']);
+    assert.deepEqual(await statusOf('GET', '/users/discord/1/balance', { token: null }), [401, 'UNAUTHORIZED']);
+    assert.deepEqual(await statusOf('GET', '/nothing'), [404, 'NOT_FOUND']);
+    assert.deepEqual(await statusOf('POST', '/users/discord/1/give', { body: { amount: 'lots' } }), [400, 'INVALID_AMOUNT']);
+    assert.deepEqual(await statusOf('POST', '/users/discord/1/give', { body: '{"amount":' }), [400, 'INVALID_JSON']);
+    assert.deepEqual(await statusOf('GET', '/users/discord/1/balance?currency=gems'), [400, 'UNKNOWN_CURRENCY']);
+    assert.deepEqual(await statusOf('POST', '/users/discord/1/deduct', { body: { amount: 10, strict: true } }), [409, 'INSUFFICIENT_FUNDS']);
+    assert.deepEqual(await statusOf('POST', '/users/discord/1/give', { body: { amount: 1, reason: 'x'.repeat(100) } }), [413, 'PAYLOAD_TOO_LARGE']);
+
+    await request('POST', '/users/discord/1/daily', { body: {} });
+    const cooldown = await request('POST', '/users/discord/1/daily', { body: { strict: true } });
+    assert.equal(cooldown.status, 429);
+    assert.equal(cooldown.body.error.code, 'COOLDOWN');
+    assert.ok(cooldown.body.error.remainingTime > 0);
+
+    const notAllowed = await request('GET', '/users/discord/1/give');
+    assert.deepEqual([notAllowed.status, notAllowed.body.error.code, notAllowed.headers.get('allow')], [405, 'METHOD_NOT_ALLOWED', 'POST']);
+});
+
+test('unexpected errors are hidden from the client and emitted as error events', async (t) => {
+    const { economy, request } = await serve(t);
+    const errors = [];
+    economy.on('error', error => errors.push(error.message));
+    economy.before('give', () => {
+        throw new Error('middleware failed');
+    });
+
+    const { status, body } = await request('POST', '/users/discord/1/give', { body: { amount: 5 } });
+    assert.equal(status, 500);
+    assert.deepEqual(body, { error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+    assert.deepEqual(errors, ['middleware failed']);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { setTimeout as sleep } from 'timers/promises';
+import { FlareEconomy } from '../lib/Database.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+
+async function economyWith(balances) {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+    for (const [userId, amount] of Object.entries(balances)) await economy.give(userId, 'discord', amount);
+    return economy;
+}
+
+const walletOf = async (economy, userId) => (await economy.balance(userId, 'discord')).wallet;
+
+test('an offer is escrowed and accepting it settles both sides', async () => {
+    const economy = await economyWith({ a: 100, b: 100 });
+
+    const { trade } = await economy.offerTrade('a', 'b', 'discord', { amount: 40 }, { amount: 10 });
+    assert.equal(await walletOf(economy, 'a'), 60);
+
+    assert.deepEqual(await economy.acceptTrade('a', 'discord', trade.id), { success: false, reason: 'not_your_trade' });
+    const result = await economy.acceptTrade('b', 'discord', trade.id);
+    assert.equal(result.success, true);
+    assert.equal(await walletOf(economy, 'a'), 70);
+    assert.equal(await walletOf(economy, 'b'), 130);
+    assert.deepEqual(await economy.trades('a', 'discord'), []);
+});
+
+test('cancelling or declining an offer refunds the escrow', async () => {
+    const economy = await economyWith({ a: 100 });
+
+    const first = await economy.offerTrade('a', 'b', 'discord', { amount: 30 });
+    const second = await economy.offerTrade('a', 'b', 'discord', { amount: 20 });
+    assert.equal(await walletOf(economy, 'a'), 50);
+
+    assert.equal((await economy.cancelTrade('a', 'discord', first.trade.id)).success, true);
+    assert.equal((await economy.declineTrade('b', 'discord', second.trade.id)).success, true);
+    assert.equal(await walletOf(economy, 'a'), 100);
+    assert.equal((await economy.acceptTrade('b', 'discord', first.trade.id)).success, false);
+});
+
+test('expired offers are refunded and can no longer be accepted', async () => {
+    const economy = await economyWith({ a: 100, b: 100 });
+
+    const { trade } = await economy.offerTrade('a', 'b', 'discord', { amount: 40 }, {}, { expiresIn: 1 });
+    await sleep(5);
+    await economy.expireTrades();
+
+    const history = await economy.history('a', 'discord', { type: 'escrow_refund' });
+    assert.deepEqual(history.map(entry => entry.amount), [40]);
+    assert.equal(await walletOf(economy, 'a'), 100);
+    assert.equal((await economy.acceptTrade('b', 'discord', trade.id)).reason, 'expired');
+    assert.equal(await walletOf(economy, 'b'), 100);
+});
+
+test('an overdue loan is collected from the wallet, then the bank', async () => {
+    const economy = await economyWith({ lender: 100, borrower: 10 });
+
+    const { trade } = await economy.offerLoan('lender', 'borrower', 'discord', 50, { interest: 0.1, duration: 50 });
+    const { loan } = await economy.acceptTrade('borrower', 'discord', trade.id);
+    assert.equal(loan.amountDue, 55);
+    await economy.deposit('borrower', 'discord', 30);
+    await sleep(60);
+
+    assert.deepEqual(await economy.balance('borrower', 'discord'), { wallet: 0, bank: 5, bankCapacity: 2500, total: 5 });
+    assert.equal(await walletOf(economy, 'lender'), 55 + 50);
+    const [repayment] = await economy.history('borrower', 'discord', { type: 'loan_repayment' });
+    const [collected] = await economy.history('lender', 'discord', { type: 'loan_collected' });
+    assert.equal(repayment.amount, 55);
+    assert.equal(collected.amount, 55);
+    assert.equal((await economy.loans('borrower', 'discord', { all: true }))[0].status, 'repaid');
+});
+
+test('what a borrower cannot pay yet is collected later', async () => {
+    const economy = await economyWith({ lender: 100, borrower: 0 });
+
+    const { trade } = await economy.offerLoan('lender', 'borrower', 'discord', 50, { interest: 0.2, duration: 1 });
+    await economy.acceptTrade('borrower', 'discord', trade.id);
+    await sleep(5);
+
+    assert.equal(await walletOf(economy, 'borrower'), 0);
+    const [loan] = await economy.loans('borrower', 'discord');
+    assert.equal(loan.outstanding, 10);
+    assert.equal(loan.overdue, true);
+
+    await economy.give('borrower', 'discord', 25);
+    assert.equal(await walletOf(economy, 'borrower'), 15);
+    assert.deepEqual(await economy.loans('borrower', 'discord'), []);
+    assert.equal(await walletOf(economy, 'lender'), 110);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { FlareEconomy } from '../lib/Database.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+
+async function economyWith(balances) {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+    for (const [userId, amount] of Object.entries(balances)) await economy.give(userId, 'discord', amount);
+    return economy;
+}
+
+test('transfer moves the amount and charges the fee to the sender', async () => {
+    const economy = await economyWith({ a: 100 });
+
+    const result = await economy.transfer('a', 'b', 'discord', 50, { fee: 5 });
+    assert.equal(result.success, true);
+    assert.equal(result.amount, 50);
+    assert.equal(result.fee, 5);
+    assert.deepEqual(result.from, { wallet: 45, bank: 0 });
+    assert.deepEqual(result.to, { wallet: 50, bank: 0 });
+
+    const [sent] = await economy.history('a', 'discord', { type: 'transfer_out' });
+    const [received] = await economy.history('b', 'discord', { type: 'transfer_in' });
+    assert.equal(sent.transactionId, result.transactionId);
+    assert.equal(received.transactionId, result.transactionId);
+    assert.equal(sent.counterparty, 'b');
+    assert.equal(received.counterparty, 'a');
+});
+
+test('transfer can send from the bank into the receiver wallet', async () => {
+    const economy = await economyWith({ a: 100 });
+    await economy.deposit('a', 'discord', 80);
+
+    const result = await economy.transfer('a', 'b', 'discord', 30, { source: 'bank' });
+    assert.deepEqual(result.from, { wallet: 20, bank: 50 });
+    assert.deepEqual(result.to, { wallet: 30, bank: 0 });
+});
+
+test('a transfer the sender cannot cover changes nobody', async () => {
+    const economy = await economyWith({ a: 100, b: 10 });
+
+    assert.deepEqual(await economy.transfer('a', 'b', 'discord', 100, { fee: 1 }), { success: false, reason: 'insufficient_funds', required: 101, available: 100 });
+    await assert.rejects(economy.transfer('a', 'b', 'discord', 500, { strict: true }), { code: 'INSUFFICIENT_FUNDS' });
+
+    assert.equal((await economy.balance('a', 'discord')).wallet, 100);
+    assert.equal((await economy.balance('b', 'discord')).wallet, 10);
+    assert.deepEqual(await economy.history('a', 'discord', { type: 'transfer_out' }), []);
+});
+
+test('opposite transfers at the same time both complete', { timeout: 5000 }, async () => {
+    const economy = await economyWith({ a: 1000, b: 1000 });
+
+    const transfers = [];
+    for (let i = 0; i < 50; i++) {
+        transfers.push(economy.transfer('a', 'b', 'discord', 3), economy.transfer('b', 'a', 'discord', 1));
+    }
+    assert.ok((await Promise.all(transfers)).every(result => result.success));
+
+    assert.equal((await economy.balance('a', 'discord')).wallet, 900);
+    assert.equal((await economy.balance('b', 'discord')).wallet, 1100);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import { strict as assert } from 'assert';
+import { FlareEconomy } from '../lib/Database.js';
+import { MemoryAdapter } from '../lib/adapters/MemoryAdapter.js';
+
+test('reading a new user while it is given money keeps the money', async () => {
+    const economy = new FlareEconomy({ adapter: new MemoryAdapter() });
+    await economy.balance('0', 'discord');
+    const ticks = async (count) => {
+        for (let i = 0; i < count; i++) await null;
+    };
+
+    // Starts the read a little later each time, so it lands at every step of the write
+    for (let i = 0; i < 60; i++) {
+        await Promise.all([economy.give(`u${i}`, 'discord', 100), ticks(i).then(() => economy.balance(`u${i}`, 'discord'))]);
+        assert.equal((await economy.balance(`u${i}`, 'discord')).wallet, 100);
+    }
+});
+
+test('reads do not store users, create() does', async () => {
+    const adapter = new MemoryAdapter();
+    const economy = new FlareEconomy({ adapter });
+    const created = [];
+    economy.on('userCreated', user => created.push(user.userId));
+
+    assert.equal((await economy.balance('1', 'discord')).wallet, 0);
+    await economy.cooldowns('1', 'discord');
+    assert.equal(await adapter.get('users', 'discord:1'), null);
+
+    assert.equal((await economy.create('1', 'discord')).created, true);
+    assert.notEqual(await adapter.get('users', 'discord:1'), null);
+    assert.deepEqual(created, ['1']);
+});